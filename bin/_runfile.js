@@ -2,14 +2,19 @@
 Runs a single test file in an isolated child process. Receives configuration via IPC from parent subtap process.
 
 Note: All monkey patches of tap should be done within this file so that they get stripped from stack traces reported in assertion test results.
+
+The patches adapt to the version of tap that the test files use. Releases of tap through 16 expose their assertions on tap.Test.prototype, along with a list of assertion synonyms in lib/synonyms.js, while later releases compose each test object from plugins and expose neither. Patches that depend on these internals are only installed where the internals exist, and the remaining patches rely only on the public API common to all versions.
 ******************************************************************************/
 
 //// MODULES //////////////////////////////////////////////////////////////////
 
+var fs = require('fs');
 var path = require('path');
+var v8 = require('v8');
 var Writable = require('stream').Writable;
+var shuffle = require('../lib/shuffle');
 var tap; // caller provides load location
-var tapSynonyms; // caller provides load location
+var tapSynonyms; // caller provides load location; null if tap lacks them
 
 //// CONSTANTS ////////////////////////////////////////////////////////////////
 
@@ -17,22 +22,40 @@ var tapSynonyms; // caller provides load location
 var IGNORED_OBJECT_TYPES = [ 'Buffer', 'Date', 'Object', 'RegExp' ];
 
 var REGEX_SUBSET_RANGES = /\d+\.\.\d+|\d+/g;
+var REGEX_BAIL_OUT = /^\s*bail out!/im;
+var STDIO_MARK = "\u0000subtap-root:"; // marks root subtest stdio, with NUL
 
 //// CONFIGURATION ////////////////////////////////////////////////////////////
 
 var tapLimit; // max char output of tap per chunk for node-tap issue #322
     // array of functions returning true given a test number in its range
 var testSelectors = null; 
+var nameRegex = null; // regex that names of selected tests match, if any
+var fileRegex = null; // regex that files of selected tests match, if any
 var testFileRegex; // regex for pulling test file and line number from Error
+var testFilePath; // path of the test file relative to the working directory
 var maxFailedTests; // max number of failed tests allowed in parent run
+var retriesLeft; // number of times the parent may yet rerun a failed test
 var catchExceptions; // whether to catch exceptions in TAP or end test run
 var debugBreak; // whether to break at start of each root subtest
+var listOnly; // whether to only list root subtests without running them
+var shuffleSeed; // seed for shuffling the root subtests, or null
+var reportModules; // whether to report the paths of all loaded modules
+var coverageDir; // dir for the coverage of each root subtest, or null
+var markStdout; // whether to mark the stdout of each root subtest
+var markStderr; // whether to mark the stderr of each root subtest
 
 //// STATE ////////////////////////////////////////////////////////////////////
 
 var testNumber; // number of most-recently output root subtest
 var failedTests; // number of failed tests so far in parent run
 var exiting = false; // true to ignore tap compliants on premature exit
+var listedTests = []; // root subtests registered when only listing them
+var inspectorSession = null; // session for breaking at root subtests, if any
+var heldTests = null; // when shuffling, functions registering root subtests
+var coverageFileCount = 0; // number of coverage files taken
+var fileStartTime = Date.now(); // time at which the child began
+var stdioStartTime = fileStartTime; // time from which to time inline stdio
 
 //// MAIN /////////////////////////////////////////////////////////////////////
 
@@ -42,7 +65,16 @@ process.on('message', function (msg) {
             configure(msg);
             break;
         case 'input':
-            process.emit('promptInput', msg.input);
+            if (msg.error === undefined)
+                process.emit('promptInput', msg.input);
+            else if (process.listenerCount('promptError') > 0)
+                process.emit('promptError', msg.error);
+            else {
+                // the prompt didn't come from subtap/prompt, which rejects
+                var err = new Error(msg.error);
+                err.stack = err.toString(); // runfile's stack isn't helpful
+                sendError(err);
+            }
             break;
     }
 });
@@ -51,44 +83,76 @@ process.send({ event: 'ready' }); // avoid race condition
 
 //// SUPPORT FUNCTIONS ////////////////////////////////////////////////////////
 
+function breakOnCall(func) {
+    // the inspector protocol only references functions by remote object, so
+    // briefly expose the function globally to get its object ID; posts to an
+    // in-process session complete synchronously
+    global.__subtapBreakFunc = func;
+    inspectorSession.post('Runtime.evaluate', {
+        expression: '__subtapBreakFunc'
+    }, function (err, response) {
+        delete global.__subtapBreakFunc;
+        if (!err) {
+            inspectorSession.post('Debugger.setBreakpointOnFunctionCall', {
+                objectId: response.result.objectId
+            });
+        }
+    });
+}
+
 function configure(config) {
     tapLimit = config.tapLimit;
     testNumber = config.priorTestNumber;
     testFileRegex = new RegExp(config.testFileRegexStr);
     failedTests = config.failedTests;
     maxFailedTests = config.maxFailedTests;
+    retriesLeft = config.retriesLeft;
     catchExceptions = config.catchExceptions;
     if (config.selectedTests !== '')
         selectTests(config.selectedTests);
+    if (config.grep !== null)
+        nameRegex = new RegExp(config.grep);
+    if (config.grepFile !== null)
+        fileRegex = new RegExp(config.grepFile);
+    testFilePath = path.relative(process.cwd(), config.filePath);
     debugBreak = config.debugBreak;
+    listOnly = config.listOnly;
+    shuffleSeed = config.shuffleSeed;
+    reportModules = config.reportModules;
+    coverageDir = config.coverageDir;
+    markStdout = config.markStdout;
+    markStderr = config.markStderr;
     
+    if (config.inlineStdout)
+        sendStdioInline('stdout');
+    if (config.inlineStderr)
+        sendStdioInline('stderr');
+
     installTapWithPatches(config.tapPath);
     
-    runUserCode(function() {
-        require(config.filePath);
-    }, false);
-    
-    // installing a tearDown handler induces tap autoend,
-    // which sometimes causes tearDown before tests install,
-    // so have to install handler *after* registering tests.
-    // the handler installs because tap has to wait for all
-    // tests by waiting at least until the next tick.
-    
-    tap.tearDown(function() {
-        process.send({
-            event: 'done',
-            lastTestNumber: testNumber,
-            failedTests: failedTests
+    if (config.inspectPort > 0) {
+        openInspector(config.inspectPort, config.inspectHost, function () {
+            runTestFile(config);
         });
-        // disconnect IPC so can exit when stdout, stderr,
-        // child processes, and other resources complete.
-        process.disconnect();
-    });
-    tap.end();
+    }
+    else
+        runTestFile(config);
+}
+
+function getTestLocation() {
+    // drop this file's calls from the stack so that the location found is
+    // that of the code registering the test
+    var stack = new Error().stack.split("\n").filter(function (line) {
+        return (line.indexOf(__filename +':') < 0);
+    }).join("\n");
+    var matches = stack.match(testFileRegex);
+    return (matches !== null ? matches[1] : null);
 }
 
 function installAssertSynonyms(t, assertName) {
     // adapted from node-tap/lib/assert.js
+    if (tapSynonyms === null)
+        return;
     tapSynonyms[assertName].forEach(function (s) {
         Object.defineProperty(t, s, {
             value: t[assertName],
@@ -101,62 +165,122 @@ function installAssertSynonyms(t, assertName) {
 
 function installTapWithPatches(tapPath) {
     tap = require(tapPath);
-    tapSynonyms = require(path.resolve(tapPath, '../../lib/synonyms.js'));
+    tapSynonyms = requireIfPresent(
+            path.resolve(tapPath, '../../lib/synonyms.js'));
+
+    // test files may call these methods detached from tap, as when
+    // importing them by name from later versions of tap
 
     var testMethod = tap.test;
-    tap.test = function subtapRootSubtest(name, extra, cb, deferred) {
+    replaceMethod(tap, 'test', function subtapRootSubtest(
+            name, extra, cb, deferred)
+    {
         if (exiting)
             return;
         if (!cb) {
             cb = extra; // cb might still be undefined if a TODO
             extra = {};
         }
+        var rootName = name; // name without number and location
         if (!deferred) { // if initial registration
-            if (!isSelectedTest(++testNumber))
+            var location = getTestLocation();
+            var file = (location ? location.replace(/:\d+$/, '') :
+                    testFilePath);
+            if (listOnly) {
+                // list every root subtest; the parent selects among them
+                listedTests.push({
+                    number: ++testNumber,
+                    name: name,
+                    file: file,
+                    line: (location ? parseInt(location.match(/\d+$/)[0]) :
+                            null)
+                });
+                return;
+            }
+            if (!isSelectedTest(++testNumber, name, file))
                 return;
 
+            // prefix test number and append file name and line number
             name = '['+ testNumber +'] '+ name;
-        
-            // append file name and line number of test to test name
-            var err = new Error();
-            var matches = err.stack.match(testFileRegex);
-            if (matches !== null)
-                name += ' ('+ matches[1] +')';
+            if (location !== null)
+                name += ' ('+ location +')';
+            if (extra && typeof extra.slow === 'number') {
+                process.send({ // overrides --slow
+                    event: 'slow',
+                    testNumber: testNumber,
+                    slow: extra.slow
+                });
+            }
         }
-        if (!cb)
-            return testMethod.call(this, name, extra, cb, deferred);
+        if (!cb || cb.subtapTestNumber) // if TODO or already wrapped
+            return testMethod.call(tap, name, extra, cb, deferred);
 
-        return testMethod.call(this, name, extra, function (t) {
+        var rootNumber = testNumber;
+        var rootSubtest = function (t) {
             if (exiting)
                 return;
-            if (!t._subtapped) {
-                t.tearDown(tearDownTest.bind(t));
-                t._subtapped = true;
-            }
+            if (coverageDir !== null)
+                takeCoverage('other'); // exclude coverage preceding the test
+            markStdio(rootNumber);
+            var startTime = Date.now();
+            stdioStartTime = startTime;
+            onTearDown(t, tearDownTest.bind(t, rootNumber, rootName,
+                    startTime));
             return runUserCode(runRootSubtest.bind(this, cb, t), true);
-        }, deferred);
-    };
+        };
+        rootSubtest.subtapTestNumber = rootNumber; // tap defers with wrapper
+        if (heldTests !== null && !deferred) {
+            // register once the file has loaded, in shuffled order
+            heldTests.push(testMethod.bind(tap, name, extra, rootSubtest));
+            return;
+        }
+        return testMethod.call(tap, name, extra, rootSubtest, deferred);
+    });
     
     var tapEnd = tap.end;
-    tap._subtapExtraEnds = 0;
-    tap.done = tap.end = function subtapRootEnd(implicit) {
-        // allow both subtap and test to call tap.end()
+    var explicitEnds = 0; // for versions of tap that hide _explicitEnded
+    var extraEnds = 0;
+    var rootEnd = function subtapRootEnd(implicit) {
+        // allow both subtap and test to call tap.end(), while still letting
+        // tap complain about a test that calls it more than once
+        var ended = (typeof tap._explicitEnded === 'boolean' ?
+                tap._explicitEnded : explicitEnds > 0);
         if (typeof implicit !== 'undefined')
-            tapEnd.call(this, implicit);
-        else if (!this._explicitEnded || ++this._subtapExtraEnds > 1)
-            tapEnd.call(this);
+            tapEnd.call(tap, implicit);
+        else if (!ended || ++extraEnds > 1) {
+            ++explicitEnds;
+            tapEnd.call(tap);
+        }
     };
-
-    installTypedAsserts(tap);
-    installTypedAsserts(tap.Test.prototype);
+    replaceMethod(tap, 'end', rootEnd);
+    if (tap.done)
+        replaceMethod(tap, 'done', rootEnd); // removed in later versions
+
+    // later versions of tap compare constructors in strictSame() and don't
+    // expose assertions on the prototype, so they don't need typed asserts
+    var testPrototype = (tap.Test ? tap.Test.prototype : null);
+    if (testPrototype && typeof testPrototype.strictSame === 'function') {
+        installTypedAsserts(tap);
+        installTypedAsserts(testPrototype);
+    }
 
     tap.pipe(new Writable({
         write: function(chunk, encoding, done) {
-            if (!exiting) {
-                process.send({
+            if (!exiting && process.connected) { // later taps write after done
+                var msg = {
                     event: 'chunk',
                     text: chunk.toString()
-                });
+                };
+                if (!REGEX_BAIL_OUT.test(msg.text))
+                    process.send(msg);
+                else {
+                    // later versions of tap only exit on bailing out when
+                    // writing to stdout, so exit once the parent has it
+                    exiting = true;
+                    process.send(msg, function () {
+                        process.exit(1);
+                    });
+                }
             }
             done();
         },
@@ -187,7 +311,11 @@ function installTypedAsserts(t) {
     installAssertSynonyms(t, 'strictNotSame');
 }
 
-function isSelectedTest(testNumber) {
+function isSelectedTest(testNumber, name, file) {
+    if (nameRegex !== null && !nameRegex.test(name))
+        return false;
+    if (fileRegex !== null && !fileRegex.test(file))
+        return false;
     if (testSelectors === null)
         return true;
     for (var i = 0; i < testSelectors.length; ++i) {
@@ -197,12 +325,130 @@ function isSelectedTest(testNumber) {
     return false;
 }
 
+function markStdio(testNumber) {
+    // mark the start of a root subtest's output, or with '' the end; the
+    // parent removes the marks, attributing the output to root subtests
+    var mark = STDIO_MARK + testNumber +"\u0000";
+    if (markStdout)
+        process.stdout.write(mark);
+    if (markStderr)
+        process.stderr.write(mark);
+}
+
+function onTearDown(t, handler) {
+    // later versions of tap deprecated and then dropped tearDown()
+    if (typeof t.teardown === 'function')
+        t.teardown(handler);
+    else
+        t.tearDown(handler);
+}
+
+function openInspector(port, host, done) {
+    var inspector = require('inspector');
+    try {
+        inspector.open(port, host, false);
+    }
+    catch (err) {
+        sendError(err); // e.g. port already in use
+        return;
+    }
+    process.send({
+        event: 'inspect',
+        url: inspector.url()
+    }, function () {
+        // wait for the debugger so it's attached for root subtest breaks
+        if (debugBreak) {
+            inspector.waitForDebugger();
+            inspectorSession = new inspector.Session();
+            inspectorSession.connect();
+            inspectorSession.post('Debugger.enable');
+        }
+        done();
+    });
+}
+
+function requireIfPresent(modulePath) {
+    try {
+        return require(modulePath);
+    }
+    catch (err) {
+        if (err.code !== 'MODULE_NOT_FOUND')
+            throw err;
+        return null;
+    }
+}
+
+function replaceMethod(obj, name, method) {
+    // later versions of tap export their methods via getters
+    Object.defineProperty(obj, name, {
+        value: method,
+        enumerable: true,
+        configurable: true,
+        writable: true
+    });
+}
+
 function runRootSubtest(rootSubtest, t) {
-    if (debugBreak) debugger;
-    var promise = rootSubtest(t); // step into here to debug the subtest
+    if (inspectorSession !== null)
+        breakOnCall(rootSubtest); // debugger breaks on entering the subtest
+    var promise = rootSubtest(t);
     return promise; // now resume debugger to reach next root subtest
 }
 
+function runTestFile(config) {
+    if (shuffleSeed !== null && !listOnly)
+        heldTests = [];
+    runUserCode(function() {
+        require(config.filePath);
+    }, false);
+    
+    // when only listing, report the root subtests that the file registered
+    // and exit without waiting on resources the file opened.
+    
+    if (listOnly) {
+        if (exiting)
+            return; // error already reported
+        process.send({
+            event: 'listed',
+            testCount: testNumber - config.priorTestNumber,
+            tests: listedTests
+        }, function () {
+            process.exit(0);
+        });
+        return;
+    }
+    
+    // register the root subtests held while loading the file in an order
+    // determined by the seed; root subtests registered later run in turn.
+    
+    if (heldTests !== null) {
+        var shuffledTests = shuffle.shuffle(heldTests, shuffleSeed);
+        heldTests = null;
+        shuffledTests.forEach(function (registerTest) {
+            registerTest();
+        });
+    }
+    
+    // installing a tearDown handler induces tap autoend,
+    // which sometimes causes tearDown before tests install,
+    // so have to install handler *after* registering tests.
+    // the handler installs because tap has to wait for all
+    // tests by waiting at least until the next tick.
+    
+    onTearDown(tap, function() {
+        process.send({
+            event: 'done',
+            lastTestNumber: testNumber,
+            failedTests: failedTests,
+            modulePaths: (reportModules ? Object.keys(require.cache) : null)
+        });
+        // disconnect IPC so can exit when stdout, stderr,
+        // child processes, and other resources complete.
+        process.disconnect();
+    });
+    tap.end();
+}
+
 function runUserCode(testFunc, midTest) {
     if (midTest && catchExceptions)
         return testFunc();
@@ -233,6 +479,8 @@ function selectTests(selectedTests) {
 }
 
 function sendError(err) {
+    if (exiting)
+        return; // bailing out, which rejects pending root subtests
     if (err.stack) {
         var errInfo = {};
         // message, stack, and maybe errno don't show in Object.keys()
@@ -258,9 +506,58 @@ function sendError(err) {
     tap.bailout("error"); // subtap ignore tap's bailout output here
 }
 
-function tearDownTest() {
-    if (!this.passing() && maxFailedTests > 0 &&
-            ++failedTests === maxFailedTests)
+function sendStdioInline(channel) {
+    // send each write to the parent in order with the TAP, along with the
+    // millis since the running root subtest began; once IPC disconnects,
+    // writes go to the pipe, which the parent mixes into its own output
+    var stream = process[channel];
+    var write = stream.write;
+    stream.write = function (chunk, encoding, callback) {
+        if (!process.connected)
+            return write.apply(stream, arguments);
+        if (typeof encoding === 'function')
+            callback = encoding;
+        process.send({
+            event: 'stdio',
+            channel: channel,
+            text: (typeof chunk === 'string' ? chunk : chunk.toString()),
+            time: Date.now() - stdioStartTime
+        });
+        if (callback)
+            process.nextTick(callback);
+        return true;
+    };
+}
+
+function takeCoverage(label) {
+    // write the coverage since the last call, which V8 resets, to a file
+    // named for the label; unlike V8's names, these names are unique
+    v8.takeCoverage();
+    var prefix = 'coverage-'+ process.pid +'-';
+    fs.readdirSync(coverageDir).forEach(function (fileName) {
+        if (fileName.indexOf(prefix) === 0) {
+            fs.renameSync(path.resolve(coverageDir, fileName),
+                    path.resolve(coverageDir, label +'-'+ process.pid +'-'+
+                    (++coverageFileCount) +'.json'));
+        }
+    });
+}
+
+function tearDownTest(rootNumber, rootName, startTime) {
+    if (coverageDir !== null)
+        takeCoverage('root-'+ rootNumber);
+    markStdio('');
+    stdioStartTime = fileStartTime;
+    var passing = this.passing();
+    process.send({
+        event: 'rootEnd',
+        testNumber: rootNumber,
+        name: rootName,
+        ok: passing,
+        duration: Date.now() - startTime
+    });
+    if (!passing && retriesLeft === 0 && maxFailedTests > 0 &&
+            ++failedTests === maxFailedTests) // count only final failures
         this.bailout("Aborted after "+ failedTests +" failed test(s)"); 
 }
 
@@ -4,22 +4,14 @@
 subtap executable command line tool
 ******************************************************************************/
 
-// To debug, put child on different debug port via --narg=--debug=5859
-
-// At present, subtap only works with tap-parser versions prior to 2.0.0. tap 7.0.0 changed the indentation levels of TAP subtest comments, and tap-parser 2.0.0 requires the new indentation.
-// It was an option to upgrade subtap to tap-parser 2.0.0 and force subtap users to use tap 7.0.0 or later, but tap-parser 2.0.0 also interprets bail-outs issued during tear-down as belonging to anonymous tests. It is possible to work around this by having _runfile emit a TAP comment signifying a subtap-specific abort, but then subtap would not properly signal the fact that the test aborted in its --tap output. In order to allow -bN to signal "Bail out!" using --tap, subtap must remain with a pre-2.0.0 tap-parser. 
-// subtap therefore tweaks the TAP output received from the version of tap the tests use so that it is compatible with tap-parser 1.2.2. This allows subtap to continue issuing bail-outs for -bN and be compatible with all tap versions.
+// To debug, put child on different inspector port via --inspect=9230
 
 //// MODULES //////////////////////////////////////////////////////////////////
 
 var Writable = require('stream').Writable;
-var MemoryStream = require('memory-streams').WritableStream;
 var fs = require('fs');
-var resolveModule = require('resolve');
 var path = require('path');
 var minimist = require('minimist');
-var glob = require('glob');
-var spawn = require('child_process').spawn;
 var yaml = require('js-yaml');
 var optionhelp = require('option-help');
 var _ = require('lodash');
@@ -27,46 +19,54 @@ var nodeCleanup = require('node-cleanup');
 var prompt = require('prompt');
 
 var subtap = require("../");
-var callStack = require("../lib/call_stack");
+var configFile = require("../lib/config_file");
+var coverage = require("../lib/coverage");
+var shuffle = require("../lib/shuffle");
+var TapNormalizer = require("../lib/TapNormalizer");
 
 //// CONSTANTS ////////////////////////////////////////////////////////////////
 
 var ENV_DEFAULT_ARGS = 'SUBTAP_DEFAULT_ARGS';
 var ENV_COLOR_FILE = 'SUBTAP_COLOR_FILE';
 var ENV_UNSTACK_PATHS = 'SUBTAP_UNSTACK_PATHS';
-var ENV_SUPPORTS_PROMPT = 'SUPPORTS_PROMPT_INPUT_IPC';
 var OUTPUT_FORMATS = [ 'all', 'fail', 'json', 'tally', 'tap' ];
 var DEFAULT_OUTPUT_FORMAT = 'tally';
 var REGEX_VALID_SUBSET = /^\d+(\.\.\d+)?(,(\d+(\.\.\d+)?))*$/;
 var REGEX_RANGE_ENDS = /\d+(?!\.)/g;
-var STDIO_DESTINATIONS = [ 'each', 'end', 'mix', 'none' ];
-var DEFAULT_DEBUG_PORT = 5858;
-var SIGTERM_TIMEOUT_MILLIS = 1000;
-
-//// STATE ////////////////////////////////////////////////////////////////////
-
-var filePaths = []; // array of all test files to run
-var fileIndex = 0; // index of currently running test file
-var testNumber = 0; // number of most-recently output root subtest
-var firstSubtest = true; // whether waiting for first subtest name
-var subtestIndent = null; // spaces to further indent subtest names
-var failedTests = 0; // number of tests that have failed
-var bailed = false; // whether test file bailed out
-var skippingChunks = false; // whether skipping TAP output
-var gotPulse; // whether child process was recently active
-var heartbeatTimer; // heartbeat timer monitoring child activity
-var sigtermTimer = null; // timer that waits for child to terminate on SIGTERM
-var debugPort; // node debugging port, or 0 if not debugging
-var debugBreak; // whether breaking at start of each root subtest
-
-var child = null; // currently spawned child process or null
-var stderrStream = null; // stream for writing file's stderr channel output
-var stdoutStream = null; // stream for writing file's stdout channel output
-var savedStdio = []; // array of saved tuples { channel, file, output }
-var errorMessages = ''; // error message text to display after stdio, if any
+var STDIO_DESTINATIONS = [ 'each', 'end', 'fail', 'inline', 'mix', 'none' ];
+var DEFAULT_DEBUG_PORT = 9229;
+var DEFAULT_DEBUG_HOST = '127.0.0.1';
+var REGEX_HOST_PORT = /^(?:([^:]+):)?(\d*)$/;
+var CLEAR_SCREEN = "\x1b[2J\x1b[H";
 
 //// CONFIGURATION ////////////////////////////////////////////////////////////
 
+// Read the project configuration. Its settings apply except where the command line or SUBTAP_DEFAULT_ARGS provides the corresponding option.
+
+var cwd = process.cwd();
+var config = null;
+try {
+    config = configFile.readConfig(cwd);
+}
+catch (err) {
+    exitWithUserError(err.message);
+}
+var settings = (config !== null ? config.settings : {});
+
+if (!_.isUndefined(settings.format) &&
+        OUTPUT_FORMATS.indexOf(settings.format) < 0)
+{
+    exitWithUserError(configFile.toKeyMessage(config.source, 'format',
+            "must be one of "+ OUTPUT_FORMATS.join(", ")));
+}
+['stderr', 'stdout'].forEach(function (key) {
+    if (!_.isUndefined(settings[key]) && !isStdioDestination(settings[key])) {
+        exitWithUserError(configFile.toKeyMessage(config.source, key,
+                "must be one of "+ STDIO_DESTINATIONS.join(", ") +
+                ", or a file path beginning with '/' or '.'"));
+    }
+});
+
 // Parse command line arguments, displaying help if requested.
 
 var argv = [];
@@ -75,40 +75,62 @@ if (_.isString(process.env[ENV_DEFAULT_ARGS])) {
     if (argv[0] === '')
         argv = [];
 }
-var argv = argv.concat(process.argv.slice(2));
+var argv = argv.concat(process.argv.slice(2)).map(function (arg) {
+    // only take a seed given as --shuffle=<s>, so that a bare --shuffle
+    // doesn't take the file pattern that follows it as the seed
+    return (arg === '--shuffle' ? '--shuffle=' : arg);
+});
 
 var configOptions = {
     alias: {
         b: 'bail',
         c: 'color',
         d: 'diff',
+        debug: 'inspect', // older name for --inspect
+        'debug-brk': 'inspect-brk', // older name for --inspect-brk
         f: 'full-functions',
         h: 'help',
+        j: 'jobs',
         r: 'run',
         t: 'timeout'
     },
-    boolean: [ 'b', 'c', 'd', 'f', 'h' ],
+    boolean: [
+        'b', 'c', 'coverage', 'd', 'durations', 'f', 'failed', 'h',
+        'interactive', 'isolate', 'list', 'prompt', 'shuffle-files', 'strict',
+        'timing-regressions', 'watch'
+    ],
     string: [
+        'answers',
         'catch',
-        'debug',
-        'debug-brk',
+        'cmd',
+        'grep',
+        'grep-file',
+        'inspect',
+        'inspect-brk',
         'line-numbers',
         'mark',
         'narg',
         'r',
+        'render',
+        'shuffle',
         'stderr',
         'stdout',
         'targ',
         'wrap'
     ],
     default: {
-        'debug-port': 5858,
+        'debug-port': DEFAULT_DEBUG_PORT,
+        j: 1, // number of test files to run concurrently
         mark: 'BCF:CR', // how to mark differences
-        t: 3000, // heartbeat timeout millis
+        prompt: true, // whether tests may prompt for input
+        retry: 0, // times to rerun a failed root subtest
+        slow: 0, // millis beyond which a root subtest is slow
+        slowest: 0, // number of slowest root subtests to list
+        t: _.isUndefined(settings.timeout) ? 3000 : settings.timeout, // millis
         tab: 2, // tab size
         'tap-limit': 32,
-        stderr: 'each',
-        stdout: 'end',
+        stderr: settings.stderr || 'each',
+        stdout: settings.stdout || 'end',
         wrap: '20:80' // <minimum width>:<minimum margin>
     }
 };
@@ -123,12 +145,17 @@ optionhelp.keepLastOfDuplicates(args, ['narg', 'targ']);
 optionhelp.applyBooleanOffSwitch(args, configOptions);
 var outputFormat = optionhelp.lastOfMutuallyExclusive(argv, OUTPUT_FORMATS);
 if (outputFormat === null)
-    outputFormat = DEFAULT_OUTPUT_FORMAT;
+    outputFormat = settings.format || DEFAULT_OUTPUT_FORMAT;
 
 // Validate argument values generically where possible
 
-['d', 'f'].forEach(function (option) {
+['coverage', 'd', 'durations', 'f', 'failed', 'interactive', 'isolate',
+        'list', 'prompt', 'shuffle-files', 'strict', 'timing-regressions',
+        'watch'].forEach(
+        function (option) {
     if (!_.isBoolean(args[option])) {
+        if (option.length > 1)
+            option = '-'+ option;
         exitWithUserError(
             "-"+ option +" is a boolean switch that doesn't take a value");
     }
@@ -141,7 +168,8 @@ if (outputFormat === null)
     }
 });
 
-['debug-port', 't', 'tab', 'tap-limit'].forEach(function (option) {
+['debug-port', 'j', 'retry', 'slow', 'slowest', 't', 'tab',
+        'tap-limit'].forEach(function (option) {
     if (!_.isInteger(args[option])) {
         if (option.length > 1)
             option = '-'+ option;
@@ -165,10 +193,9 @@ if (colorMode >= 10) {
     colorMode -= 10;
 }
 
-// Get color map file, if provided
+// Get color overrides from the configuration and from the color map file, if provided, with the file overriding the configuration
 
-var cwd = process.cwd();
-var colorOverrides = null;
+var colorOverrides = settings.colors || null;
 if (_.isString(process.env[ENV_COLOR_FILE])) {
     var colorFilePath = _.trim(process.env[ENV_COLOR_FILE]);
     if (colorFilePath !== '') {
@@ -180,7 +207,8 @@ if (_.isString(process.env[ENV_COLOR_FILE])) {
         catch (err) {
             exitWithUserError("failed to read color file "+ colorFilePath);
         }
-        colorOverrides = yaml.safeLoad(fileText);
+        colorOverrides =
+                _.assign({}, colorOverrides, yaml.safeLoad(fileText));
     }
 }
 
@@ -219,14 +247,9 @@ if (!/^[BCFR_]+(:[BCFR_]+)?$/.test(args.mark)) {
     exitWithUserError(
             "--mark flags must be one or more of the characters BCR_");
 }
-matches = args.mark.match(/[^:]+/g);
-if (matches.length === 1)
-    matches.push(matches[0]);
-var markFlags = matches[args.diff ? 1 : 0];
-var boldDiffText = optionhelp.getFlag(markFlags, 'B');
-var colorDiffText = optionhelp.getFlag(markFlags, 'C');
-var reverseFirstCharDiff = optionhelp.getFlag(markFlags, 'F');
-var reverseFirstLineDiff = optionhelp.getFlag(markFlags, 'R');
+var markFlagSets = args.mark.match(/[^:]+/g); // without and with --diff
+if (markFlagSets.length === 1)
+    markFlagSets.push(markFlagSets[0]);
 
 // Validate automatic line numbering flag.
 
@@ -241,11 +264,12 @@ else {
         exitWithUserError("--line-numbers optionally takes an integer");
 }
 
-// Validate the tests to run and determine last test number selected
+// Validate the tests to run
     
-var lastSelectedTest = 0;
 if (_.isUndefined(args.run))
     args.run = '';
+else if (args.failed)
+    exitWithUserError("can't specify both -r and --failed");
 else {
     if (!REGEX_VALID_SUBSET.test(args.run)) {
         exitWithUserError("-r requires one or more comma-delimited numbers "+
@@ -256,82 +280,164 @@ else {
         var selectedTest = parseInt(endRange);
         if (selectedTest === 0)
             exitWithUserError("subtest number 0 is not valid in -r");
-        if (selectedTest > lastSelectedTest)
-            lastSelectedTest = selectedTest;
     });
 }
 
+// Validate the patterns that select tests by name and file
+
+['grep', 'grep-file'].forEach(function (option) {
+    if (_.isUndefined(args[option]))
+        args[option] = null;
+    else {
+        try {
+            new RegExp(args[option]);
+        }
+        catch (err) {
+            exitWithUserError("--"+ option +" requires a valid regular "+
+                    "expression: "+ err.message);
+        }
+    }
+});
+
+// Get the commands to run as tests. Test files and commands given on the command line replace those of the configuration.
+
+var commands = toArgArray(args.cmd, []);
+commands.forEach(function (command) {
+    if (!_.isString(command) || _.trim(command) === '')
+        exitWithUserError("--cmd requires a command");
+});
+var sourcesGiven = (args._.length > 0 || commands.length > 0);
+if (!sourcesGiven)
+    commands = settings.cmd || [];
+
 // Validate the destinations for stderr and stdout
 
 args.stderr = normalizeStdioOption('stderr', args.stderr);
-if (args.stderr[0] === '/') {
-    stderrStream = fs.createWriteStream(args.stderr);
-    args.stderr = 'file';
-}
-
 args.stdout = normalizeStdioOption('stdout', args.stdout);
-if (args.stdout[0] === '/') {
-    stdoutStream = fs.createWriteStream(args.stdout);
-    args.stdout = 'file';
+
+// Load the answers to give prompts, which is either a list of answers in order of prompting or a map of prompt messages to answers
+
+var answers = null;
+if (!_.isUndefined(args.answers)) {
+    if (!args.prompt)
+        exitWithUserError("can't combine --answers with --no-prompt");
+    var answersPath = path.resolve(cwd, args.answers);
+    try {
+        answers = yaml.safeLoad(fs.readFileSync(answersPath, 'utf8'));
+    }
+    catch (err) {
+        exitWithUserError("failed to read answers file "+ answersPath +
+                (err.name === 'YAMLException' ? ": "+ err.message : ''));
+    }
+    if (!_.isArray(answers) && !_.isPlainObject(answers)) {
+        exitWithUserError("answers file "+ answersPath +" must contain "+
+                "a YAML list or map");
+    }
 }
 
-// Parse and validate debug switches
+// Parse and validate the inspector switches
 
-['debug', 'debug-brk'].forEach(function (option) {
+var inspectHost = DEFAULT_DEBUG_HOST;
+var inspectPort = 0; // 0 when not debugging
+var debugBreak = false;
+['inspect', 'inspect-brk'].forEach(function (option) {
     if (_.isUndefined(args[option]))
-        args[option] = 0;
-    else if (args[option] === '')
-        args[option] = args['debug-port'];
-    else {
-        args[option] = parseInt(args[option]);
-        if (isNaN(args[option]))
-            exitWithUserError("--"+ option +" optionally takes a port number");
-    }
+        return;
+    if (inspectPort !== 0)
+        exitWithUserError("can't specify both --inspect and --inspect-brk");
+    var matches = String(args[option]).match(REGEX_HOST_PORT);
+    if (!matches)
+        exitWithUserError("--"+ option +" optionally takes [<host>:]<port>");
+    if (matches[1])
+        inspectHost = matches[1];
+    inspectPort = (matches[2] ? parseInt(matches[2]) : args['debug-port']);
+    debugBreak = (option === 'inspect-brk');
 });
-if (args['debug'] !== 0 && args['debug-brk'] !== 0)
-    exitWithUserError("can't specify both --debug and --debug-brk");
-debugPort = args['debug'] + args['debug-brk']; // at most one is non-zero
-if (debugPort)
-    args.timeout = 0; // disable heartbeat timer when debugging
-debugBreak = (args['debug-brk'] > 0);
 
-//// TEST RUNNER //////////////////////////////////////////////////////////////
+// Get the seed for shuffling root subtests, choosing one if not provided
 
-var testFileRegexStr = " \\("+ _.escapeRegExp(cwd) +"/(.+:[0-9]+):";
-var childPath = path.resolve(__dirname, "_runfile.js");
-var childEnv = {};
-Object.keys(process.env).forEach(function (key) {
-    childEnv[key] = process.env[key];
-});
-childEnv[ENV_SUPPORTS_PROMPT] = ''; // create env var to indicate support
-if (args.bail)
-    childEnv.TAP_BAIL = '1';
-var unstackPaths = [];
-if (typeof process.env[ENV_UNSTACK_PATHS] === 'string')
-    unstackPaths = process.env[ENV_UNSTACK_PATHS].split(':');
+var shuffleSeed = null; // null when not shuffling
+if (!_.isUndefined(args.shuffle)) {
+    if (!/^\d*$/.test(args.shuffle))
+        exitWithUserError("--shuffle optionally takes an integer seed");
+    if (args.shuffle !== '')
+        shuffleSeed = parseInt(args.shuffle);
+}
+if (shuffleSeed === null &&
+        (!_.isUndefined(args.shuffle) || args['shuffle-files']))
+    shuffleSeed = shuffle.makeSeed();
+
+// Validate the number of test files to run concurrently
+
+if (args.jobs < 1)
+    exitWithUserError("-jN option requires N >= 1");
+if (args.jobs > 1) {
+    if (maxFailedTests > 0)
+        exitWithUserError("-jN can't be combined with -bN");
+    if (inspectPort)
+        exitWithUserError(
+                "-jN can't be combined with --inspect or --inspect-brk");
+}
+
+// Listing root subtests doesn't run them, so there is nothing to watch
+
+if (args.list && args.watch)
+    exitWithUserError("can't specify both --list and --watch");
 
-// Locate the installation of the tap module that these test files will use. We need to tweak loads of this particular installation.
+// The interactive menu follows a single run in the pretty-printed formats
+
+if (args.interactive) {
+    if (args.list || args.watch)
+        exitWithUserError("can't combine --interactive with --list or --watch");
+    if (outputFormat === 'json' || outputFormat === 'tap')
+        exitWithUserError("can't combine --interactive with --json or --tap");
+}
+var rerunDebugBreak = debugBreak; // whether menu reruns wait for a debugger
 
-tapPath = resolveModule.sync('tap', { basedir: cwd });
-require(tapPath); // throws an exception if tap can't be located
+// Rendering TAP from a file or stdin replaces running test files
 
-// Grab the factory method for the printer indicated by outputFormat.
+var renderSource = null; // path of TAP file to render, '-' for stdin
+if (!_.isUndefined(args.render)) {
+    if (sourcesGiven) {
+        exitWithUserError(
+                "can't combine --render with test file patterns or --cmd");
+    }
+    if (args.list || args.watch || args.interactive) {
+        exitWithUserError(
+            "can't combine --render with --list, --watch, or --interactive");
+    }
+    if (outputFormat === 'tap')
+        exitWithUserError("can't combine --render with --tap");
+    renderSource = (args.render === '' || args.render === '-' ? '-' :
+            path.resolve(cwd, args.render));
+}
+
+//// TEST RUNNER //////////////////////////////////////////////////////////////
+
+var unstackPaths = settings.unstack || [];
+if (typeof process.env[ENV_UNSTACK_PATHS] === 'string') {
+    unstackPaths = unstackPaths.concat(
+            process.env[ENV_UNSTACK_PATHS].split(':'));
+}
 
+// Grab the factory method for the printer indicated by outputFormat. Each receives the info of the run's 'start' event.
+
+var report = null; // report of the current run, when pretty-printing
 var printerMakerMap = {
-    all: function() {
-        return makePrettyPrinter(subtap.FullReport);
+    all: function(runInfo) {
+        return makePrettyPrinter(subtap.FullReport, runInfo);
     },
-    fail: function () {
-        return makePrettyPrinter(subtap.FailureReport);
+    fail: function (runInfo) {
+        return makePrettyPrinter(subtap.FailureReport, runInfo);
     },
     json: function() {
         return new subtap.JsonPrinter(process.stdout, {
-            runfilePath: childPath,
+            runfilePath: subtap.Runner.RUNFILE_PATH,
             unstackPaths: unstackPaths
         });
     },
-    tally: function() {
-        return makePrettyPrinter(subtap.RootSubtestReport);
+    tally: function(runInfo) {
+        return makePrettyPrinter(subtap.RootSubtestReport, runInfo);
     },
     tap: function() {
         return new Writable({
@@ -346,351 +452,359 @@ var makePrinter = printerMakerMap[outputFormat];
 if (!makePrinter)
     exitWithUserError("unrecognized output format '"+ outputFormat +"'");
 
-// If no files are specified, assume all .js in ./test and ./tests.
-
-if (args._.length === 0) {
-    args._.push("test/*.js");
-    args._.push("tests/*.js");
+// Run the files matching the patterns, or if no patterns are specified, those of the configuration, or else all .js in ./test and ./tests. The runner does the work and reports via events.
+
+var runnerOptions = {
+    cwd: cwd,
+    files: (args._.length > 0 ? args._ :
+            (sourcesGiven ? null : settings.files || null)),
+    commands: commands,
+    run: args.run,
+    failed: args.failed,
+    grep: args.grep,
+    grepFile: args['grep-file'],
+    jobs: args.jobs,
+    isolate: args.isolate,
+    shuffle: shuffleSeed,
+    shuffleFiles: args['shuffle-files'],
+    bail: args.bail,
+    maxFailedTests: maxFailedTests,
+    retry: args.retry,
+    catchExceptions: catchExceptions,
+    timeout: args.timeout,
+    tapLimit: args['tap-limit'],
+    stdout: args.stdout,
+    stderr: args.stderr,
+    inspectHost: inspectHost,
+    inspectPort: inspectPort,
+    debugBreak: debugBreak,
+    nodeArgs: toArgArray(args['narg'], settings.narg),
+    testArgs: toArgArray(args['targ'], settings.targ),
+    tabSize: args.tab,
+    watch: args.watch,
+    coverage: args.coverage,
+    prompt: args.prompt,
+    answers: answers,
+    makePrinter: makePrinter
+};
+var runner = null; // replaced by interactive reruns; null when rendering
+var rootAssertionsFailed = false; // whether reruns can't fix the exit code
+
+if (renderSource !== null)
+    renderTap(renderSource);
+else if (args.list) {
+    runner = makeRunner(runnerOptions);
+    runner.list().then(function (listing) {
+        if (listing.errors !== '')
+            process.exit(1); // runner already output the errors
+        writeTestList(listing.tests);
+    }, function (err) {
+        exitWithUserError(err.message);
+    });
 }
-
-// Run the test files strictly sequentially so that, for a given set of test files, root subtests have consistent numbers from run-to-run.
-
-args._.forEach(function (pattern) {
-    glob.sync(pattern, {
-        nodir: true
-    }).forEach(function (file) {
-        filePaths.push(path.resolve(cwd, file));
+else {
+    runner = makeRunner(runnerOptions);
+    runner.run().then(function (results) {
+        if (results.errors !== '' && !args.watch)
+            process.exit(1); // runner already output the errors
+        if (!args.watch && (results.failedRootSubtests > 0 ||
+                results.failedRootAssertions > 0 || results.bailed))
+            process.exitCode = 1; // exit once the menu or stdio completes
+        rootAssertionsFailed = (results.failedRootAssertions > 0);
+        if (args.interactive && results.failedTestNumbers.length > 0)
+            promptForRerun(results.failedTestNumbers);
+    }, function (err) {
+        exitWithUserError(err.message);
     });
-});
-if (filePaths.length === 0)
-    exitWithUserError("no files match pattern");
-
-var printer = makePrinter();
-runNextFile(); // run first file; each subsequent file runs after prev closes
+}
 
 nodeCleanup(function() {
-
-    // Terminate child if left hanging (e.g. ctrl-c from debugger)
-    
-    if (child !== null)
-        child.kill('SIGKILL');
-        
-    // Properly end open writable streams.
-    
-    if (stdoutStream !== null)
-        stdoutStream.end();
-    if (stderrStream !== null)
-        stderrStream.end();
-        
-    // Write any stdout and stderr that was accumulated
-    
-    if (savedStdio.length > 0)
-        writeSavedOutput();
-    if (errorMessages !== '')
-        process.stderr.write(errorMessages);
+    if (runner !== null)
+        runner.close(); // kills hanging children and outputs pending stdio
 }, {
     uncaughtException: "*** oops! subtap itself errored... ***\x1b[K"
 });
 
 //// SUPPORT FUNCTIONS ////////////////////////////////////////////////////////
 
-function abort() {
-    bailed = true;
-    if (outputFormat !== 'tap' && printer)
-        printer.abort();
-}
-
-function awaitHeartbeat() {
-    heartbeatTimer = setTimeout(function() {
-        if (gotPulse) {
-            gotPulse = false;
-            awaitHeartbeat();
-        }
-        else {
-            var filePath = filePaths[fileIndex];
-            if (filePath.indexOf(cwd) === 0)
-                filePath = filePath.substr(cwd.length + 1);
-            errorMessages += toErrorMessage(filePath +" timed out after "+
-                    args.timeout +" millis of inactivity");
-            abort();
-            child.kill('SIGTERM');
-            sigtermTimer = setTimeout(function () {
-                errorMessages += toErrorMessage(
-                        "forced to SIGKILL unresponsive child process");
-                child.kill('SIGKILL');
-            }, SIGTERM_TIMEOUT_MILLIS);
-            // wait for child stdio before exiting
-        }
-    }, args.timeout);
-}
-
-function directChildOutput(dest, childStdio, stdioStream, processStdio) {
-    if (dest === 'each' || dest === 'end') {
-        stdioStream = new MemoryStream();
-        childStdio.pipe(stdioStream, { end: false });
-    }
-    else if (dest === 'mix')
-        childStdio.pipe(processStdio, { end: false });
-    else if (dest === 'file')
-        childStdio.pipe(stdioStream, { end: false });
-    return stdioStream;
-}
-
-function exitWithTestError(message) {
-    errorMessages += message + "\n";    
-    // on test error, must collect errorMessages and child stdio before exiting
-    if (child === null)
-        process.exit(1); // child exited before errorMessages acquired
-}
-
 function exitWithUserError(message) {
-    abort();
     process.stdout.write(toErrorMessage(message));
     process.exit(1);
 }
 
-function makePrettyPrinter(reportClass) {
-    return new subtap.PrettyPrinter(new reportClass(process.stdout, {
+function isStdioDestination(optionValue) {
+    optionValue = String(optionValue).toLowerCase();
+    return (STDIO_DESTINATIONS.indexOf(optionValue) >= 0 ||
+            optionValue[0] === '/' || optionValue[0] === '.');
+}
+
+function makePrettyPrinter(reportClass, runInfo) {
+    var markFlags = markFlagSets[args.diff ? 1 : 0];
+    report = new reportClass(process.stdout, {
         tabSize: args.tab,
         styleMode: colorMode,
         colorOverrides: colorOverrides,
         minResultsWidth: args.minResultsWidth,
         minResultsMargin: args.minResultsMargin,
-        runfilePath: childPath,
+        runfilePath: subtap.Runner.RUNFILE_PATH,
         unstackPaths: unstackPaths,
         funcs: args['full-functions'],
-        boldDiffText: boldDiffText,
-        colorDiffText: colorDiffText,
-        reverseFirstCharDiff: reverseFirstCharDiff,
-        reverseFirstLineDiff: reverseFirstLineDiff,
+        boldDiffText: optionhelp.getFlag(markFlags, 'B'),
+        colorDiffText: optionhelp.getFlag(markFlags, 'C'),
+        reverseFirstCharDiff: optionhelp.getFlag(markFlags, 'F'),
+        reverseFirstLineDiff: optionhelp.getFlag(markFlags, 'R'),
         interleaveDiffs: args.diff,
         minAutoLineNumbering: minAutoLineNumbering,
-        canonical: canonical
-    }));
+        canonical: canonical,
+        shuffleSeed: shuffleSeed,
+        showDurations: args.durations,
+        slowest: args.slowest,
+        slow: args.slow,
+        estimate: runInfo.estimate
+    });
+    return new subtap.PrettyPrinter(report, {}, { strict: args.strict });
+}
+
+function makeRunner(options) {
+    var newRunner = new subtap.Runner(options);
+    newRunner.on('start', function (info) {
+        if (info.rerun) // clear the report of the prior run
+            process.stdout.write(colorMode === 0 ? "\n" : CLEAR_SCREEN);
+    });
+    newRunner.on('end', function (results) {
+        if (results.coverage !== null)
+            writeCoverage(results);
+    });
+    newRunner.on('inspect', function (info) {
+        process.stdout.write("Debugger for "+ path.relative(cwd, info.file) +
+                " listening on "+ info.url + (options.debugBreak ?
+                " (waiting for debugger to attach)" : '') +"\n");
+    });
+    newRunner.on('testEnd', function (info) {
+        if (args['timing-regressions'] && info.regressed && report !== null) {
+            report.addTimingRegression({
+                number: info.number,
+                name: info.name,
+                file: path.relative(cwd, info.file),
+                duration: info.duration,
+                baseline: info.baseline
+            });
+        }
+    });
+    newRunner.on('warning', function (message) {
+        process.stdout.write(toErrorMessage(message));
+    });
+    newRunner.on('watch', function (watchedPaths) {
+        process.stdout.write("Watching "+ watchedPaths.length +
+                " files for changes (ctrl-C to exit)...\n");
+    });
+    return newRunner;
 }
 
 function normalizeStdioOption(stdio, optionValue) {
-    optionValue = String(optionValue).toLowerCase();
-    if (STDIO_DESTINATIONS.indexOf(optionValue) >= 0)
-        return optionValue;
-    if (optionValue[0] !== '/' && optionValue[0] !== '.')
+    if (!isStdioDestination(optionValue))
         exitWithUserError("invalid --"+ stdio +" value (-h for help)");
-    return path.resolve(cwd, optionValue);
+    var destination = String(optionValue).toLowerCase();
+    if (STDIO_DESTINATIONS.indexOf(destination) >= 0)
+        return destination;
+    return path.resolve(cwd, String(optionValue));
 }
 
-function runNextFile() {
-
-    // Spawn a child process to perform the test, with appropriate options.
-
-    var childArgs = [];
-    if (!_.isUndefined(args['narg'])) {
-        if (_.isArray(args['narg']))
-            childArgs = args['narg'];
-        else
-            childArgs.push(args['narg']);
-    }
-    if (debugPort > 0)
-        childArgs.push('--debug='+ debugPort);
-    childArgs.push(childPath);
-    if (!_.isUndefined(args['targ'])) {
-        if (_.isArray(args['targ']))
-            childArgs.concat(args['targ']);
-        else
-            childArgs.push(args['targ']);
-    }
-    var childOptions = {
-        env: childEnv,
-        stdio: ['inherit', 'pipe', 'pipe', 'ipc']
-    };
-    child = spawn(process.execPath, childArgs, childOptions);
-    
-    // Buffer or redirect the child stderr and stdout streams.
-    
-    stdoutStream = directChildOutput(args.stdout, child.stdout, stdoutStream,
-                        process.stdout);
-    stderrStream = directChildOutput(args.stderr, child.stderr, stderrStream,
-                        process.stderr);
-
-    // Install handlers for child process state messages.
-    
-    child.on('message', function (msg) {
-        gotPulse = true;
-        switch (msg.event) {
-            case 'ready':
-                child.send({
-                    event: 'config',
-                    tapPath: tapPath,
-                    tapLimit: args['tap-limit']*1024,
-                    priorTestNumber: testNumber,
-                    testFileRegexStr: testFileRegexStr,
-                    selectedTests: args.run,
-                    failedTests: failedTests,
-                    maxFailedTests: maxFailedTests,
-                    catchExceptions: catchExceptions,
-                    filePath: filePaths[fileIndex],
-                    debugBreak: debugBreak
-                });
-                break;
-            case 'chunk':
-                var text = msg.text;
-                if (/^ *# Subtest:/.test(text)) {
-                    // hack to make tap 7.0.0 compatible with tap-parser 1.2.2,
-                    // so subtap doesn't have to enforce a version of tap, and
-                    // so subtap can induce a TAP "bail out" for -bN.
-                    if (firstSubtest) {
-                        if (text.indexOf('#') === 0)
-                            subtestIndent = '    ';
-                        firstSubtest = false;
-                    }
-                    if (subtestIndent !== null)
-                        text = subtestIndent + text;
-                }
-                else if (/^bail out!/i.test(text))
-                    bailed = true;
-                else if (/^\d+\.\.\d+/.test(text))
-                    skippingChunks = true;
-                if (!skippingChunks)
-                    printer.write(text);
-                if (text.indexOf('TAP version') === 0)
-                    skippingChunks = false;
-                break;
-            case 'error':
-                abort();
-                var errInfo = msg.errInfo;
-                var callInfo = callStack.getCallSourceInfo(errInfo.stack);
-                var message = "\n";
-                if (callInfo !== null) {
-                    message +=
-                        callInfo.file +":"+ callInfo.line +":"+
-                        callInfo.column +"\n"+ callInfo.source +"\n"+
-                        ' '.repeat(callInfo.column - 1) +"^\n";
-                }
-                message += errInfo.stack;
-                delete errInfo['message'];
-                delete errInfo['stack'];
-                if (Object.keys(errInfo).length > 0) {
-                    if (message[message.length - 1] !== "\n")
-                        message += "\n";
-                    message += yaml.safeDump(errInfo, { indent: args.tab });
-                }
-                exitWithTestError(message);
-                break;
-            case 'rejection': // promise rejection reason
-                abort();
-                exitWithTestError("Rejected Promise: "+ msg.reason);
-                break;
-            case 'done':
-                testNumber = msg.lastTestNumber;
-                failedTests = msg.failedTests;
-                // process resumes when child exits
-                break;
-            case 'prompt':
-                clearTimeout(heartbeatTimer); // temporarily suspend heartbeat
-                process.stdout.write("\n"); // don't overwrite temp lines
-                prompt.start();
-                prompt.get({
-                    name: 'input',
-                    message: msg.message
-                }, function(err, result) {
-                    if (err) throw err;
-                    process.stdout.write("\n"); // spare prompt from overwrite
-                    child.send({
-                        event: 'input',
-                        input: result.input
-                    });
-                    awaitHeartbeat(); // resume heartbeat timeout
-                });
-                break;
+function promptForRerun(failedTestNumbers) {
+    writeRerunMenu(failedTestNumbers);
+    prompt.start();
+    prompt.get({
+        name: 'choice',
+        message: 'choice'
+    }, function (err, result) {
+        if (err) { // e.g. stdin closed
+            process.stdout.write("\n");
+            return;
         }
-    });
-    
-    // Install handler for completion of the child process.
-    
-    child.on('exit', function (exitCode) {
-        // exitCode == 1 if any test fails, so can't bail run
-        clearTimeout(heartbeatTimer); // child can exit w/out messaging parent
-        if (sigtermTimer !== null)
-            clearTimeout(sigtermTimer); // SIGTERM worked, no need for SIGKILL
-        
-        // transfer the child's output to the appropriate destinations
-        
-        stdoutStream = saveTestStdio('stdout', args.stdout,
-                process.stdout, stdoutStream);
-        stderrStream = saveTestStdio('stderr', args.stderr,
-                process.stderr, stderrStream);
-
-        // Run the next test if there is another and we haven't bailed.
-        
-        if (!bailed) {
-            if (++fileIndex < filePaths.length)
-                return runNextFile();
-            if (testNumber === 0) {
-                abort();
-                exitWithTestError(toErrorMessage("no subtests found"));
-            }
-            else if (lastSelectedTest > 0 && lastSelectedTest > testNumber) {
-                var range;
-                if (lastSelectedTest === testNumber + 1)
-                    range = " "+ lastSelectedTest;
-                else
-                    range = "s "+ (testNumber + 1) +".."+ lastSelectedTest;
-                exitWithUserError("root subtest"+ range +" not found");
+        var choice = _.trim(result.choice).toLowerCase();
+        if (/^\d+$/.test(choice) && parseInt(choice) > 0)
+            rerun(String(parseInt(choice)), failedTestNumbers);
+        else if (choice === 'r')
+            rerun(failedTestNumbers.join(','), failedTestNumbers);
+        else if (choice === 'q' || choice === '')
+            prompt.stop();
+        else {
+            if (choice === 't')
+                outputFormat = 'tally';
+            else if (choice === 'f')
+                outputFormat = 'fail';
+            else if (choice === 'a')
+                outputFormat = 'all';
+            else if (choice === 'd')
+                args.diff = !args.diff;
+            else if (choice === 'i')
+                rerunDebugBreak = !rerunDebugBreak;
+            else {
+                process.stdout.write(toErrorMessage("unrecognized choice '"+
+                        choice +"'"));
             }
+            promptForRerun(failedTestNumbers);
         }
-        
-        // Abort output of tap parser and pretty printer.
-        
+    });
+}
+
+function renderTap(source) {
+    // normalize the TAP as the runner does for test files, so that the
+    // printer receives the TAP of any version of tap
+    var printer = makePrinter({ files: [], rerun: false, estimate: null });
+    var tapNormalizer = new TapNormalizer();
+    var input = (source === '-' ? process.stdin : fs.createReadStream(source));
+    input.setEncoding('utf8');
+    input.on('data', function (text) {
+        writeTapLines(printer, tapNormalizer.write(text));
+    });
+    input.on('end', function () {
+        writeTapLines(printer, tapNormalizer.end());
         printer.end();
-        
-        // on test error, must collect errorMessages, child stdio before exiting
-        
-        child = null; // can only exit on test error if child === null
-        if (errorMessages !== '')
-            process.exit(1); // errorMessages acquired before child exited
+        if (!printer.passed())
+            process.exitCode = 1;
+    });
+    input.on('error', function (err) {
+        exitWithUserError("failed to read TAP from "+
+                (source === '-' ? "stdin" : source));
     });
-    
-    // Begin the heartbeat timeout to catch child hanging.
-    
-    gotPulse = true;
-    if (args.timeout > 0)
-        awaitHeartbeat();
 }
 
-function saveTestStdio(channel, dest, processStdio, stdioStream) {
-    if (dest === 'each') {
-        writeChildOutput(processStdio, channel, filePaths[fileIndex],
-                stdioStream.toString())
-        stdioStream = null;
-    }
-    else if (dest === 'end') {
-        savedStdio.push({
-            file: filePaths[fileIndex],
-            channel: channel,
-            output: stdioStream.toString()
+function rerun(selectedTests, failedTestNumbers) {
+    // rerun the selected root subtests with the menu's settings, keeping
+    // the root subtests that still fail, plus any newly failing, on the menu
+    process.stdout.write("\n");
+    runner = makeRunner(_.assign({}, runnerOptions, {
+        run: selectedTests,
+        failed: false,
+        grep: null,
+        grepFile: null,
+        jobs: (rerunDebugBreak ? 1 : args.jobs),
+        inspectPort: (rerunDebugBreak ? inspectPort || args['debug-port'] :
+                (debugBreak ? 0 : inspectPort)),
+        debugBreak: rerunDebugBreak,
+        makePrinter: printerMakerMap[outputFormat]
+    }));
+    runner.run().then(function (results) {
+        var rerunNumbers = selectedTests.split(',').map(Number);
+        var stillFailing = _.union(
+                _.difference(failedTestNumbers, rerunNumbers),
+                results.failedTestNumbers).sort(function (a, b) {
+            return a - b;
         });
-        stdioStream = null;
-    }
-    return stdioStream;
+        if (stillFailing.length > 0)
+            promptForRerun(stillFailing);
+        else {
+            process.stdout.write("All failed root subtests now pass.\n");
+            if (!rootAssertionsFailed)
+                process.exitCode = 0;
+            prompt.stop();
+        }
+    }, function (err) {
+        process.stdout.write(toErrorMessage(err.message));
+        promptForRerun(failedTestNumbers);
+    });
+}
+
+function toArgArray(optionValue, configValue) {
+    if (!_.isUndefined(optionValue))
+        return [].concat(optionValue);
+    return configValue || [];
 }
 
 function toErrorMessage(message) {
     return "*** "+ message +" ***\n";
 }
 
-function writeSavedOutput() {
-    var stdio;
-    savedStdio.forEach(function (tuple) {
-        stdio = (tuple.channel === 'stdout' ? process.stdout : process.stderr);
-        writeChildOutput(stdio, tuple.channel, tuple.file, tuple.output);
+function toPercent(counts) {
+    var percent = (counts.total === 0 ? 100 :
+            counts.covered * 100 / counts.total);
+    return percent.toFixed(1) +"% ("+ counts.covered +"/"+ counts.total +")";
+}
+
+function writeCoverage(results) {
+    // keep the JSON and TAP output formats parseable
+    var stream = (outputFormat === 'json' || outputFormat === 'tap' ?
+            process.stderr : process.stdout);
+    if (results.coverage.length === 0) {
+        stream.write("No coverage of modules other than test files and "+
+                "node_modules\n\n");
+        return;
+    }
+    var fileWidth = _.max(results.coverage.map(function (fileCoverage) {
+        return fileCoverage.file.length;
+    }));
+    stream.write("Coverage of lines and functions:\n");
+    results.coverage.forEach(function (fileCoverage) {
+        var text = "  "+ _.padEnd(fileCoverage.file, fileWidth) +"  "+
+                _.padEnd(toPercent(fileCoverage.lines), 20) +
+                _.padEnd(toPercent(fileCoverage.functions), 16);
+        if (fileCoverage.uncoveredLines.length > 0) {
+            text += "uncovered: "+
+                    coverage.toLineRanges(fileCoverage.uncoveredLines);
+        }
+        stream.write(_.trimEnd(text) +"\n");
+    });
+    stream.write("\n");
+    if (results.testCoverage === null)
+        return;
+    results.testCoverage.forEach(function (testCoverage) {
+        stream.write("Lines executed by ["+ testCoverage.number +"] "+
+                testCoverage.name +":\n");
+        if (testCoverage.files.length === 0)
+            stream.write("  (none)\n");
+        testCoverage.files.forEach(function (fileLines) {
+            stream.write("  "+ fileLines.file +": "+
+                    coverage.toLineRanges(fileLines.lines) +"\n");
+        });
+        stream.write("\n");
     });
 }
 
-function writeChildOutput(processStdio, channel, filePath, output) {
-    if (output.length === 0)
+function writeRerunMenu(failedTestNumbers) {
+    var formatMarks = {};
+    formatMarks[outputFormat] = ' (current)';
+    process.stdout.write("Failed root subtests: "+
+            failedTestNumbers.join(', ') +"\n"+
+            "  N  rerun root subtest N\n"+
+            "  r  rerun all failed root subtests\n"+
+            "  t  report with --tally"+ (formatMarks.tally || '') +"\n"+
+            "  f  report with --fail"+ (formatMarks.fail || '') +"\n"+
+            "  a  report with --all"+ (formatMarks.all || '') +"\n"+
+            "  d  turn --diff "+ (args.diff ? "off" : "on") +"\n"+
+            "  i  turn --inspect-brk "+ (rerunDebugBreak ? "off" : "on") +"\n"+
+            "  q  quit\n");
+}
+
+function writeTapLines(printer, lines) {
+    try {
+        lines.forEach(function (line) {
+            printer.write(line);
+        });
+    }
+    catch (err) {
+        exitWithUserError("can't render TAP: "+ err.message);
+    }
+}
+
+function writeTestList(tests) {
+    if (outputFormat === 'json') {
+        process.stdout.write(JSON.stringify(tests, null, args.tab) +"\n");
+        return;
+    }
+    if (tests.length === 0) {
+        process.stdout.write(toErrorMessage("no root subtests selected"));
         return;
-    processStdio.write("---- BEGIN "+ channel +" ("+ filePath +") ----\n");
-    processStdio.write(output);
-    if (output[output.length - 1] !== "\n")
-        processStdio.write("\n"); // guarantee END starts on a new line
-    processStdio.write("---- end "+ channel +" ----\n");
-}
\ No newline at end of file
+    }
+    var numberWidth = String(_.last(tests).number).length + 2;
+    var nameWidth = _.max(tests.map(function (test) {
+        return test.name.length;
+    }));
+    tests.forEach(function (test) {
+        var location = test.file;
+        if (test.line !== null)
+            location += ':'+ test.line;
+        process.stdout.write(_.padStart('['+ test.number +']', numberWidth) +
+                ' '+ _.padEnd(test.name, nameWidth) +'  '+ location +"\n");
+    });
+}
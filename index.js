@@ -1,4 +1,20 @@
 
+// Test Runner
+
+var Runner = require('./lib/Runner');
+exports.Runner = Runner;
+
+/**
+ * Run test files, selectively running their root subtests.
+ *
+ * @param options Runner options (see lib/Runner.js)
+ * @return the Runner, which emits events and resolves with the results
+ */
+
+exports.run = function (options) {
+    return new Runner(options).run();
+};
+
 // TAP Event Listeners
 
 exports.TapReceiver = require('./lib/TapReceiver');
@@ -89,6 +89,10 @@ JsonPrinter.prototype.planHandler = function (plan) {
     this._writeEvent('plan', plan);
 };
 
+JsonPrinter.prototype.pragmaHandler = function (pragma) {
+    this._writeEvent('pragma', pragma);
+};
+
 JsonPrinter.prototype.versionHandler = function (version) {
     this._writeEvent('version', version);
 };
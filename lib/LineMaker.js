@@ -50,6 +50,7 @@ var REGEX_ESC_TOKENS = /[^\x1b]+|(\x1b[^a-zA-Z]+[a-zA-Z])+/g;
 // _lineIsClear - whether line following cursor is clear of prewritten text
 // _upLineCount - number of lines moved up from bottom-most line
 // _blanksInARow - number of blank lines output in a row
+// _tempLineShown - whether the last output was a temp line, to be overwritten
 
 //// CONSTRUCTION /////////////////////////////////////////////////////////////
 
@@ -98,6 +99,7 @@ function LineMaker(options) {
     this._lineIsClear = true;
     this._upLineCount = 0;
     this._blanksInARow = 0;
+    this._tempLineShown = false;
 }
 module.exports = LineMaker;
 
@@ -157,6 +159,16 @@ LineMaker.prototype.colorWrap = function (
             lineContinuation);
 };
 
+/**
+ * Return "\n" if the last output was a temp line, so that the next line follows the temp line instead of overwriting it, or return '' otherwise. Also passes any "\n" to writeFunc when provided.
+ */
+
+LineMaker.prototype.endTempLine = function () {
+    if (!this._tempLineShown)
+        return '';
+    return this._write(this._lf());
+};
+
 /**
  * Return an optionally-indented line that ends in "\n" and that clears to the end of the terminal line if necessary.  Also passes the line to writeFunc when provided.
  *
@@ -257,7 +269,10 @@ LineMaker.prototype.styleWrap = function (
  */
 
 LineMaker.prototype.tempLine = function (level, text) {
-    return this._write(this.margin(level) + text + this._eol() + this._cr());
+    var tempLine =
+            this._write(this.margin(level) + text + this._eol() + this._cr());
+    this._tempLineShown = true;
+    return tempLine;
 };
 
 /**
@@ -408,6 +423,7 @@ LineMaker.prototype._write = function (text) {
     if (this._writeFunc)
         this._writeFunc(text);
     this._blanksInARow = 0;
+    this._tempLineShown = false;
     return text;
 };
 
@@ -19,6 +19,13 @@ var states = require('./states');
 //   failedRootSubtests - count of failed root subtests
 //   failedNestedTests - count of failed non-root subtests
 //   failedAssertions - count of all failed assertions (excludes test counts)
+//   flakyRootSubtests - infos of root subtests that passed only on a retry
+// _lastLine - the last line that a parser read, as { level, text }, where level is the nesting level of the parser, or null before the first line
+// _heldStdio - inline stdio held until tap-parser emits a pending result
+// _groupInfo - info of the test that a root-level comment names for the
+//   assertions that may follow it, or null
+// _groupComment - the root-level comment giving _groupInfo, or null
+// _groupFailed - whether an assertion of a comment-named root subtest failed
 // _state - object that receives evens for current state
 
 //// CONSTRUCTION /////////////////////////////////////////////////////////////
@@ -28,12 +35,20 @@ var states = require('./states');
  *
  * @param report The instance of BaseReport to send parser events.
  * @param streamOptions Options for configuring a stream.Writable
+ * @param printerOptions An optional set of the following options:
+ *   - strict: whether to throw an error on TAP that the printer can't interpret, instead of reporting a warning and continuing (defaults to false)
  */
 
-function PrettyPrinter (report, streamOptions) {
+function PrettyPrinter (report, streamOptions, printerOptions) {
     TapReceiver.call(this, streamOptions);
+    printerOptions = printerOptions || {};
     this._subtestStack = [];
-    states.install(this, report);
+    this._lastLine = null;
+    this._heldStdio = [];
+    this._groupInfo = null;
+    this._groupComment = null;
+    this._groupFailed = false;
+    states.install(this, report, printerOptions.strict);
 }
 util.inherits(PrettyPrinter, TapReceiver);
 module.exports = PrettyPrinter;
@@ -45,10 +60,35 @@ PrettyPrinter.prototype.abort = function () {
     TapReceiver.prototype.abort.call(this); // this flushes the parser
 };
 
+/**
+ * Set the threshold beyond which the running root subtest counts as slow, overriding the report's 'slow' option for that subtest.
+ *
+ * @param millis Milliseconds beyond which the root subtest is slow
+ */
+
+PrettyPrinter.prototype.setRootSlow = function (millis) {
+    if (this._subtestStack.length > 0)
+        this._subtestStack[0].slow = millis;
+};
+
+/**
+ * Report output that a test file wrote to stdout or stderr, in the context of the test currently running.
+ *
+ * @param channel 'stdout' or 'stderr'
+ * @param text Text written, which may include multiple lines
+ * @param time Millis since the running root subtest began, or since the test file began if no root subtest is running
+ */
+
+PrettyPrinter.prototype.writeStdio = function (channel, text, time) {
+    this._heldStdio.push({ channel: channel, text: text, time: time });
+    this._releaseStdio();
+};
+
 //// EVENT HANDLERS ///////////////////////////////////////////////////////////
 
 PrettyPrinter.prototype.assertHandler = function (assert) {
     this._state.assertHandler(assert);
+    this._releaseStdio(); // stdio written after the assertion follows it
 };
 
 PrettyPrinter.prototype.bailoutHandler = function (reason) {
@@ -76,6 +116,31 @@ PrettyPrinter.prototype.planHandler = function (plan) {
     this._state.planHandler(plan);
 };
 
+PrettyPrinter.prototype.pragmaHandler = function (pragma) {
+    this._state.pragmaHandler(pragma);
+};
+
 PrettyPrinter.prototype.versionHandler = function (version) {
     this._state.versionHandler(version);
 };
+
+//// RESTRICTED METHODS ///////////////////////////////////////////////////////
+
+PrettyPrinter.prototype._releaseStdio = function () {
+    if (this._isResultPending())
+        return;
+    var heldStdio = this._heldStdio;
+    this._heldStdio = [];
+    heldStdio.forEach(function (stdio) {
+        this._state.writeStdio(stdio.channel, stdio.text, stdio.time);
+    }, this);
+};
+
+PrettyPrinter.prototype._setupParser = function (parser) {
+    // the states find the time of a test on the line that completed it
+    TapReceiver.prototype._setupParser.call(this, parser);
+    var self = this;
+    parser.on('line', function (line) {
+        self._lastLine = { level: parser.level, text: line };
+    });
+};
@@ -0,0 +1,182 @@
+/******************************************************************************
+PromptResponder answers the prompts that test files make via subtap/prompt, which the runfile relays to Runner as 'prompt' messages. It answers from scripted answers when given them, checking them as the 'prompt' module checks typed input, and otherwise asks the user at the terminal. A prompt that it can't answer gets an error explaining why.
+******************************************************************************/
+
+//// MODULES //////////////////////////////////////////////////////////////////
+
+var _ = require('lodash');
+var prompt = require('prompt');
+
+//// PRIVATE CONFIGURATION ////////////////////////////////////////////////////
+
+// _allowPrompts - whether test files may pause at prompts for user input
+// _answers - array of prompt answers to give in order, object mapping
+//   prompt messages to answers, or null to prompt the user
+
+//// PRIVATE STATE ////////////////////////////////////////////////////////////
+
+// _answerIndex - index into an array of _answers of the next answer
+
+//// CONSTRUCTION /////////////////////////////////////////////////////////////
+
+/**
+ * Construct a PromptResponder
+ *
+ * @param options An optional set of the following options:
+ *   - prompt: whether test files may prompt the user for input; when false, every prompt gets an error (defaults to true)
+ *   - answers: answers to give prompts instead of prompting the user, either an array of answers given to prompts in the order the prompts occur, or an object mapping prompt messages to answers; confirm prompts accept true and false, and choose prompts accept the option or its number; null to prompt the user at a terminal (defaults to null)
+ */
+
+function PromptResponder(options) {
+    options = options || {};
+    this._allowPrompts = (options.prompt !== false);
+    this._answers = options.answers || null;
+    this._answerIndex = 0;
+}
+module.exports = PromptResponder;
+
+//// PUBLIC METHODS ///////////////////////////////////////////////////////////
+
+/**
+ * Answer a prompt. The answer is immediate unless it comes from the user at the terminal.
+ *
+ * @param msg The runfile's 'prompt' message, having properties message, kind ('pause', 'ask', 'confirm', or 'choose'), and choices (for 'choose')
+ * @param respond Function(response) receiving the 'input' message to send to the runfile, which has either an input property giving the text of the answer or an error property explaining why there is no answer
+ * @return true if awaiting the user's answer at the terminal, false if respond() has already received the answer
+ */
+
+PromptResponder.prototype.answer = function (msg, respond) {
+    var schema = makePromptSchema(msg);
+    var input = null;
+    var problem = null;
+    if (!this._allowPrompts)
+        problem = "prompting is disabled";
+    else if (this._answers !== null) {
+        input = this._nextAnswer(msg);
+        if (input === null)
+            problem = "the answers don't include it";
+        else if (!isValidInput(schema, input))
+            problem = 'answer "'+ input +'" is invalid';
+    }
+    else if (!process.stdin.isTTY)
+        problem = "stdin is not a terminal";
+    else {
+        promptUser(msg, schema, respond);
+        return true;
+    }
+
+    if (problem !== null) {
+        respond({
+            event: 'input',
+            error: 'can\'t answer prompt "'+ msg.message +'": '+ problem
+        });
+    }
+    else {
+        respond({
+            event: 'input',
+            input: input
+        });
+    }
+    return false;
+};
+
+/**
+ * Begin answering the prompts of a new run, giving an array of answers from its start.
+ */
+
+PromptResponder.prototype.restart = function () {
+    this._answerIndex = 0;
+};
+
+//// RESTRICTED METHODS ///////////////////////////////////////////////////////
+
+PromptResponder.prototype._nextAnswer = function (msg) {
+    var answer;
+    if (Array.isArray(this._answers)) {
+        if (this._answerIndex >= this._answers.length)
+            return null;
+        answer = this._answers[this._answerIndex++];
+    }
+    else {
+        if (!_.has(this._answers, msg.message))
+            return null;
+        answer = this._answers[msg.message];
+    }
+    return toPromptInput(msg, answer);
+};
+
+//// SUPPORT FUNCTIONS ////////////////////////////////////////////////////////
+
+function isValidInput(schema, input) {
+    // checks scripted input the way the 'prompt' module checks typed input
+    if (schema.required && input === '')
+        return false;
+    if (schema.pattern && !schema.pattern.test(input))
+        return false;
+    return (!schema.conform || schema.conform(input));
+}
+
+function makePromptSchema(msg) {
+    // schema of the 'prompt' module for the kind of prompt the test requested
+    // via subtap/prompt; a prompt without a kind just asks for text
+    var schema = {
+        name: 'input',
+        description: msg.message
+    };
+    switch (msg.kind) {
+        case 'pause':
+            schema.description += " (Enter to continue)";
+            break;
+        case 'confirm':
+            schema.description += " (y/n)";
+            schema.pattern = /^\s*(y(es)?|no?)\s*$/i;
+            schema.message = "answer y or n";
+            schema.required = true;
+            break;
+        case 'choose':
+            var count = msg.choices.length;
+            schema.description += " (1-"+ count +")";
+            schema.conform = function (input) {
+                var number = parseInt(input);
+                return (/^\s*\d+\s*$/.test(input) && number >= 1 &&
+                        number <= count);
+            };
+            schema.message = "enter a number from 1 to "+ count;
+            schema.required = true;
+            break;
+    }
+    return schema;
+}
+
+function promptUser(msg, schema, respond) {
+    process.stdout.write("\n"); // don't overwrite temp lines
+    if (msg.kind === 'choose') {
+        msg.choices.forEach(function (choice, i) {
+            process.stdout.write("  "+ (i + 1) +": "+ choice +"\n");
+        });
+    }
+    prompt.start();
+    prompt.get(schema, function(err, result) {
+        if (err) throw err;
+        process.stdout.write("\n"); // spare prompt from overwrite
+        respond({
+            event: 'input',
+            input: result.input
+        });
+    });
+}
+
+function toPromptInput(msg, answer) {
+    // converts an answer given in YAML to the text a user would type
+    if (answer === null || answer === undefined)
+        return '';
+    if (answer === true || answer === false)
+        return (answer ? 'y' : 'n');
+    var input = String(answer);
+    if (msg.kind === 'choose') {
+        var index = msg.choices.indexOf(input);
+        if (index >= 0)
+            return String(index + 1);
+    }
+    return input;
+}
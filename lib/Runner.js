@@ -0,0 +1,1847 @@
+/******************************************************************************
+Runner runs test files in child processes and numbers their root subtests consistently across files, reporting progress via events and final results via a promise. The subtap command line tool is a wrapper around Runner.
+
+Runner also runs shell commands that write TAP to stdout, such as tape tests or test suites in other languages. Runner numbers the root subtests of a command from its TAP, because the command doesn't number them itself, so commands run after the test files, one at a time. Lines of a command's stdout that aren't TAP are the command's stdout output.
+******************************************************************************/
+
+// subtap only works with tap-parser versions prior to 2.0.0, in order to allow -bN to signal "Bail out!" using --tap. Runner therefore passes the TAP of each test file through a TapNormalizer, which rewrites the TAP of the version of tap the tests use, including TAP 14, into the dialect of the tap-parser.
+
+//// MODULES //////////////////////////////////////////////////////////////////
+
+var EventEmitter = require('events').EventEmitter;
+var util = require('util');
+var MemoryStream = require('memory-streams').WritableStream;
+var fs = require('fs');
+var resolveModule = require('resolve');
+var path = require('path');
+var glob = require('glob');
+var spawn = require('child_process').spawn;
+var yaml = require('js-yaml');
+var _ = require('lodash');
+var TapParser = require('tap-parser');
+
+var PromptResponder = require('./PromptResponder');
+var TapNormalizer = require('./TapNormalizer');
+var callStack = require('./call_stack');
+var coverage = require('./coverage');
+var runState = require('./run_state');
+var shuffle = require('./shuffle');
+
+//// PRIVATE CONSTANTS ////////////////////////////////////////////////////////
+
+var ENV_SUPPORTS_PROMPT = 'SUPPORTS_PROMPT_INPUT_IPC';
+var DEFAULT_FILE_PATTERNS = [ 'test/*.js', 'tests/*.js' ];
+var STDIO_DESTINATIONS = [ 'each', 'end', 'fail', 'inline', 'mix', 'none' ];
+var CAPTURED_STDIO = [ 'each', 'end', 'fail' ]; // destinations buffering
+var STDIO_MARK = "\u0000subtap-root:"; // marks root subtest stdio, with NUL
+var REGEX_STDIO_MARK = /\u0000subtap-root:(\d*)\u0000/; // from runfile
+var REGEX_RANGE_ENDS = /\d+(?!\.)/g;
+var REGEX_SUBSET_RANGES = /\d+\.\.\d+|\d+/g;
+var REGEX_ROOT_SUBTEST_START = /^ *# Subtest: \[(\d+)\] /;
+var REGEX_ROOT_PLAN = /^\d+\.\.\d+/;
+var REGEX_ROOT_SUBTEST_NAME =
+        /^( *(?:# Subtest: |(?:not )?ok \d+ - )\[\d+\] .*?)( \([^()]+:\d+\))?( # time=.*)?$/m;
+var REGEX_COMMAND_TAP =
+        /^(?:TAP version \d+$|\d+\.\.\d+|(?:not )?ok\b|#|bail out!|pragma )/i;
+var REGEX_COMMAND_TEST_POINT =
+        /^((?:not )?ok)\b(?: +\d+)?(?: *-)? *(.*?)((?: # .*)?)$/;
+var REGEX_TIME_DIRECTIVE = / # time=(\d+(?:\.\d+)?)ms$/;
+var REGEX_TODO_DIRECTIVE = / # TODO\b/i;
+var COMMAND_TAP_VERSION = "TAP version 13\n"; // when a command omits it
+var ROOT_SUBTEST_INDENT = '    '; // indentation of root subtest assertions
+var FLAKY_MARK = ' (flaky)'; // appended to names of root subtests
+var SIGTERM_TIMEOUT_MILLIS = 1000;
+var WATCH_DELAY_MILLIS = 200; // time to wait for more changes before rerun
+
+//// PRIVATE CONFIGURATION ////////////////////////////////////////////////////
+
+// _cwd - directory relative to which to find files and record run state
+// _filePatterns - array of glob patterns selecting the test files
+// _commands - array of shell commands whose stdout is TAP to run as tests
+// _selectedTests - string of the root subtest numbers and ranges to run
+// _lastSelectedTest - highest root subtest number selected, or 0 for all
+// _failedOnly - whether to only run the root subtests that last failed
+// _grep - regex string that names of selected tests match, or null
+// _grepFile - regex string that files of selected tests match, or null
+// _jobs - maximum number of test files to run concurrently
+// _shuffleSeed - seed for shuffling root subtests, or null not to shuffle
+// _shuffleFiles - whether to also shuffle the order of the test files
+// _isolate - whether to run each selected root subtest in its own child
+// _countFirst - whether to count root subtests before running test files
+// _maxFailedTests - number of failed root subtests at which to bail, or 0
+// _retry - number of times to rerun a failed root subtest in a new child
+// _catchExceptions - whether to report subtest exceptions as failures
+// _timeout - heartbeat timeout millis, or 0 to disable the heartbeat
+// _tapLimit - max bytes of TAP per chunk, for node-tap issue #322
+// _stdout - destination of test stdout: 'each', 'end', 'fail', 'inline',
+//   'mix', 'none', or 'file'
+// _stderr - destination of test stderr: 'each', 'end', 'fail', 'inline',
+//   'mix', 'none', or 'file'
+// _stdoutStream - stream for writing stdout to a file, if any
+// _stderrStream - stream for writing stderr to a file, if any
+// _inspectPort - port on which the test files open the inspector, or 0
+// _inspectHost - host on which the test files open the inspector
+// _debugBreak - whether breaking at start of each root subtest
+// _tabSize - width of YAML indentation in error messages
+// _watch - whether to rerun affected test files on changes
+// _makePrinter - function returning a Writable for each run's TAP, or null
+// _recordTimings - whether to record the durations of root subtests
+// _coverage - whether to measure the code coverage of the test files
+// _stateDir - directory in which to record the state of runs
+// _saveState - whether to record the state of runs in _stateDir
+// _promptResponder - PromptResponder answering prompts of test files
+// _tapPath - path to the tap module that the test files use
+// _testFileRegexStr - regex string for pulling test file and line from Error
+// _childEnv - environment of the child processes
+// _childArgs - arguments to node for running a test file
+
+//// PRIVATE STATE ////////////////////////////////////////////////////////////
+
+// _filePaths - array of all test files to run, followed by _commands
+// _fingerprint - fingerprint of the list of test files
+// _testCounts - root subtest counts by file index, null if unknown
+// _modulePaths - by file index, array of local modules file loaded
+// _failedTestNumbers - by file index, array of failed root subtests
+// _timings - durations of root subtests of prior runs (see run_state)
+// _durations - array of { file, name, number, duration } for this run
+// _coverageDir - directory receiving the V8 coverage of this run, or null
+// _fileRuns - array of per-file run states for the current run
+// _nextFileIndex - index into _fileRuns of the next file to spawn
+// _retryRuns - file runs of retries, which spawn before _nextFileIndex
+// _flushIndex - index into _fileRuns of file whose TAP goes to printer
+// _runningCount - number of child processes currently running
+// _running - whether a run of test files is in progress
+// _printer - Writable receiving the TAP of the current run, or null
+// _tapTally - tap-parser counting the failed assertions of the current run
+//   that aren't in root subtests (see makeTapTally())
+// _results - results of the current run (see the 'end' event)
+// _failedTests - number of tests that have failed
+// _bailed - whether test file bailed out
+// _aborted - whether the printer was aborted
+// _skippingChunks - whether skipping TAP output
+// _savedStdio - array of saved tuples { channel, file, output }
+// _errorMessages - error message text to display after stdio, if any
+// _watchers - map of watched file paths to their fs.FSWatcher
+// _changedPaths - paths of watched files changed since last run
+// _watchTimer - timer that delays rerun for changes to settle
+// _promise - promise for the results of the first run or listing
+// _settled - whether _promise has been resolved or rejected
+
+// Each file run state is an object having the following properties:
+//   fileIndex - index of the test file or command in _filePaths
+//   firstOfFile - whether the first child running the file in this run
+//   attempt - 1 for the first run of the file, incremented for each retry
+//   selectedTests - root subtests to run on retry or when isolating them,
+//     or null for _selectedTests
+//   priorTestNumber - number of the last root subtest of preceding files
+//   testCount - number of root subtests counted prior to running, or null
+//   listedTests - array of root subtests the file registered, or null
+//   child - spawned child process running the file, or null
+//   tapNormalizer - TapNormalizer for the TAP of the child, or null
+//   commandTap - state of the TAP of a command (see makeCommandTap()), or
+//     null for a test file
+//   chunks - TAP text, inline stdio, and slow thresholds buffered until the
+//     preceding files have output
+//   segment - TAP text, inline stdio, and slow thresholds of the current
+//     root subtest, held when retrying
+//   segmentNumber - number of the root subtest in segment, or null
+//   retryTests - numbers of the root subtests that failed and will rerun
+//   flakyTests - numbers of root subtests that passed only on this retry
+//   slowThresholds - map of the numbers of root subtests that set their own
+//     slow thresholds to the thresholds
+//   exited - whether the child process has exited
+//   discarded - whether the file's output is to be ignored
+//   gotPulse - whether child process was recently active
+//   heartbeatTimer - heartbeat timer monitoring child activity
+//   sigtermTimer - timer that waits for child to terminate on SIGTERM
+//   stdoutStream - stream capturing the file's stdout channel output
+//   stderrStream - stream capturing the file's stderr channel output
+
+//// CONSTRUCTION /////////////////////////////////////////////////////////////
+
+/**
+ * Construct a Runner. Call run() or list() to begin. The runner is also a promise for the results of the run or listing, which rejects on problems with the options, such as when no files match or the selected root subtests don't exist. Failures of the test files themselves resolve with errors in the results.
+ *
+ * @param options An optional set of the following options:
+ *   - cwd: directory relative to which to resolve files and the state directory (defaults to process.cwd())
+ *   - files: array of glob patterns for the test files (defaults to ["test/*.js", "tests/*.js"] without commands, else [])
+ *   - commands: array of shell commands to run as tests after the test files, each writing TAP to stdout; the root subtests of their TAP are numbered after those of the test files, and the commands run one at a time in the working directory, without retries, isolation, debugging, coverage, prompts, or attribution of stderr to root subtests; selected root subtests are reported, but the others still run (defaults to [])
+ *   - run: string of comma-delimited root subtest numbers and ranges "N..M" to run (defaults to '' for all)
+ *   - failed: whether to only run the root subtests that failed on the last run (defaults to false)
+ *   - grep: regex string that the names of the root subtests to run match (defaults to null for all)
+ *   - grepFile: regex string that the files of the root subtests to run match (defaults to null for all)
+ *   - jobs: maximum number of test files to run concurrently; can't exceed 1 with maxFailedTests or inspectPort (defaults to 1)
+ *   - shuffle: integer seed with which to shuffle the order in which each test file runs its root subtests, or null to run them in the order registered; root subtests keep their numbers, and a comment following the TAP version line gives the seed (defaults to null)
+ *   - shuffleFiles: whether to also shuffle the order of the test files, using the shuffle seed (defaults to false)
+ *   - isolate: whether to run each selected root subtest in its own child process, so that root subtests don't share module state (defaults to false)
+ *   - bail: whether to bail out on the first failed assertion (defaults to false)
+ *   - maxFailedTests: number of failed root subtests after which to bail out, or 0 for no limit; root subtests count only when they fail their last retry (defaults to 0)
+ *   - retry: number of times to rerun a failed root subtest, each time in a new child process; root subtests that pass on a retry are reported as flaky; root subtests of commands aren't retried (defaults to 0)
+ *   - catchExceptions: whether to report subtest exceptions as failed assertions (defaults to false)
+ *   - timeout: millis of test file inactivity at which to end the run, or 0 for no timeout (defaults to 3000; 0 when debugging)
+ *   - tapLimit: max kilobytes of TAP per chunk of test output (defaults to 32)
+ *   - stdout: where to write test stdout: 'each', 'end', 'fail', 'inline', 'mix', 'none', or a file path (defaults to 'end'); 'each', 'end', and 'fail' separate the output of each root subtest, and 'fail' only writes the output of root subtests that fail; 'inline' passes each write to the printer's writeStdio(channel, text, time) method in order with the TAP, or to process stdout if the printer lacks this method
+ *   - stderr: where to write test stderr: 'each', 'end', 'fail', 'inline', 'mix', 'none', or a file path (defaults to 'each')
+ *   - inspectPort: port on which each test file opens the V8 inspector for a debugger, or 0 not to debug (defaults to 0)
+ *   - inspectHost: host on which each test file opens the V8 inspector (defaults to '127.0.0.1')
+ *   - debugBreak: whether to wait for a debugger to attach to each test file and break at the start of each root subtest (defaults to false)
+ *   - nodeArgs: array of arguments for the node executable (defaults to [])
+ *   - testArgs: array of arguments for the test files (defaults to [])
+ *   - tabSize: width of YAML indentation in error messages (defaults to 2)
+ *   - watch: whether to rerun the test files affected by changes to them or to the local modules they load, until close() is called (defaults to false)
+ *   - coverage: whether to measure the code coverage of the modules that the test files load, excluding node_modules and the test files themselves; when only running selected root subtests, also determines the lines each root subtest executed (defaults to false)
+ *   - prompt: whether test files may prompt the user for input via subtap/prompt; when false, test files see that prompting isn't supported and receive default answers (defaults to true)
+ *   - answers: answers to give prompts instead of prompting the user, either an array of answers given to prompts in the order the prompts occur within each run, or an object mapping prompt messages to answers; confirm prompts accept true and false, and choose prompts accept the option or its number; null to prompt the user at a terminal (defaults to null)
+ *   - stateDir: directory in which to record which root subtests failed on the last run and the durations of root subtests on recent runs, for failed and for detecting timing regressions (defaults to ".subtap")
+ *   - saveState: whether to record the state of each run in stateDir; when false, runs still read the recorded state (defaults to true)
+ *   - makePrinter: function returning a new Writable to receive the TAP of each run, such as a PrettyPrinter; receives the info of the run's 'start' event; the TAP is discarded if not provided
+ *
+ * Emits the following events:
+ *   - 'start' (info): a run began; info has properties files (array of paths to the test files being run), rerun (whether rerunning on changes), and estimate (millis the selected root subtests took in total on prior runs, or null if they have no history)
+ *   - 'fileStart' (info): a child process began running a test file; info has properties file (the command, for a command) and attempt (1 for the first run of the file, greater when retrying root subtests)
+ *   - 'inspect' (info): a test file opened the inspector; info has properties file and url, the ws:// URL at which the debugger attaches
+ *   - 'testEnd' (info): a root subtest completed its last attempt; info has properties number, name, file, ok, flaky (whether it passed only on a retry), duration (millis it took), baseline (millis it usually takes, or null if not yet known), and regressed (whether it took notably longer than the baseline)
+ *   - 'fileEnd' (info): a child process completed a test file; info has properties file, attempt, testCount (null if unknown), and failedTestNumbers
+ *   - 'end' (results): a run completed; results is the object with which the promise resolves
+ *   - 'warning' (message): a condition the user should know about
+ *   - 'watch' (paths): waiting for changes to the array of file paths
+ *
+ * The results of a run are an object with these properties:
+ *   - files: number of test files run
+ *   - rootSubtests: number of root subtests run
+ *   - failedRootSubtests: number of root subtests that failed
+ *   - failedTestNumbers: sorted array of the numbers of the failed root subtests
+ *   - failedRootAssertions: number of failed assertions that aren't in root subtests, such as those of tape, excluding those having TODO or SKIP directives
+ *   - flakyTestNumbers: sorted array of the numbers of the root subtests that passed only on a retry
+ *   - timingRegressions: array of the 'testEnd' infos of the root subtests that regressed, sorted by number
+ *   - coverage: array of the code coverage of each module, sorted by file, or null if not measuring coverage; each has properties file (path relative to cwd), lines and functions (each having properties covered and total), and uncoveredLines (array of line numbers)
+ *   - testCoverage: array of the lines each root subtest executed, sorted by number, or null unless measuring coverage of selected root subtests; each has properties number, name, and files (array having properties file and lines, an array of line numbers)
+ *   - bailed: whether the run ended before running all selected root subtests
+ *   - errors: text of error messages for the run, or '' if none
+ */
+
+function Runner(options) {
+    EventEmitter.call(this);
+    options = options || {};
+    this._cwd = options.cwd || process.cwd();
+    this._commands = options.commands || [];
+    this._filePatterns = options.files ||
+            (this._commands.length > 0 ? [] : DEFAULT_FILE_PATTERNS);
+    this._selectedTests = options.run || '';
+    this._lastSelectedTest = 0;
+    var endRanges = this._selectedTests.match(REGEX_RANGE_ENDS) || [];
+    endRanges.forEach(function (endRange) {
+        var selectedTest = parseInt(endRange);
+        if (selectedTest > this._lastSelectedTest)
+            this._lastSelectedTest = selectedTest;
+    }, this);
+    this._failedOnly = options.failed || false;
+    this._grep = options.grep || null;
+    this._grepFile = options.grepFile || null;
+    this._jobs = options.jobs || 1;
+    this._shuffleSeed = (_.isInteger(options.shuffle) ? options.shuffle : null);
+    this._shuffleFiles = (this._shuffleSeed !== null && !!options.shuffleFiles);
+    this._isolate = options.isolate || false;
+    this._countFirst = (this._jobs > 1 || this._shuffleFiles || this._isolate);
+    this._maxFailedTests = options.maxFailedTests || 0;
+    this._retry = options.retry || 0;
+    this._catchExceptions = options.catchExceptions || false;
+    this._timeout = (_.isUndefined(options.timeout) ? 3000 : options.timeout);
+    this._tapLimit = (options.tapLimit || 32)*1024;
+    this._stdout = options.stdout || 'end';
+    this._stderr = options.stderr || 'each';
+    this._stdoutStream = null;
+    this._stderrStream = null;
+    if (STDIO_DESTINATIONS.indexOf(this._stdout) < 0) {
+        this._stdoutStream =
+                fs.createWriteStream(path.resolve(this._cwd, this._stdout));
+        this._stdout = 'file';
+    }
+    if (STDIO_DESTINATIONS.indexOf(this._stderr) < 0) {
+        this._stderrStream =
+                fs.createWriteStream(path.resolve(this._cwd, this._stderr));
+        this._stderr = 'file';
+    }
+    this._inspectPort = options.inspectPort || 0;
+    this._inspectHost = options.inspectHost || '127.0.0.1';
+    if (this._inspectPort)
+        this._timeout = 0; // disable heartbeat timer when debugging
+    this._debugBreak = options.debugBreak || false;
+    this._tabSize = options.tabSize || 2;
+    this._watch = options.watch || false;
+    this._makePrinter = options.makePrinter || null;
+    this._recordTimings = !this._inspectPort; // debugging distorts timings
+    this._coverage = options.coverage || false;
+    this._stateDir = path.resolve(this._cwd,
+            options.stateDir || runState.DEFAULT_STATE_DIR);
+    this._saveState = (options.saveState !== false);
+    this._promptResponder = new PromptResponder(options);
+
+    // Locate the installation of the tap module that these test files will use. We need to tweak loads of this particular installation. Commands need not use tap.
+
+    this._tapPath = null;
+    if (this._filePatterns.length > 0) {
+        this._tapPath = resolveModule.sync('tap', { basedir: this._cwd });
+        require(this._tapPath); // throws an exception if tap can't be located
+    }
+
+    this._testFileRegexStr =
+            " \\("+ _.escapeRegExp(this._cwd) +"/(.+:[0-9]+):";
+    this._childEnv = {};
+    Object.keys(process.env).forEach(function (key) {
+        this._childEnv[key] = process.env[key];
+    }, this);
+    if (options.prompt !== false)
+        this._childEnv[ENV_SUPPORTS_PROMPT] = ''; // indicate support
+    else
+        delete this._childEnv[ENV_SUPPORTS_PROMPT];
+    if (options.bail)
+        this._childEnv.TAP_BAIL = '1';
+    this._childArgs = (options.nodeArgs || []).slice();
+    this._childArgs.push(Runner.RUNFILE_PATH);
+    this._childArgs = this._childArgs.concat(options.testArgs || []);
+
+    this._filePaths = [];
+    this._fingerprint = null;
+    this._testCounts = [];
+    this._modulePaths = [];
+    this._failedTestNumbers = [];
+    this._timings = {};
+    this._durations = [];
+    this._coverageDir = null;
+    this._fileRuns = [];
+    this._nextFileIndex = 0;
+    this._retryRuns = [];
+    this._flushIndex = 0;
+    this._runningCount = 0;
+    this._running = false;
+    this._printer = null;
+    this._tapTally = null;
+    this._results = makeResults();
+    this._failedTests = 0;
+    this._bailed = false;
+    this._aborted = false;
+    this._skippingChunks = false;
+    this._savedStdio = [];
+    this._errorMessages = '';
+    this._watchers = {};
+    this._changedPaths = [];
+    this._watchTimer = null;
+
+    var self = this;
+    this._settled = false;
+    this._promise = new Promise(function (resolve, reject) {
+        self._resolve = function (value) {
+            self._settled = true;
+            resolve(value);
+        };
+        self._reject = function (err) {
+            self._settled = true;
+            reject(err);
+        };
+    });
+    this._promise.catch(function () {}); // rejections are for then() callers
+}
+util.inherits(Runner, EventEmitter);
+module.exports = Runner;
+
+//// PUBLIC CONSTANTS /////////////////////////////////////////////////////////
+
+Runner.RUNFILE_PATH = path.resolve(__dirname, "../bin/_runfile.js");
+
+//// PUBLIC METHODS ///////////////////////////////////////////////////////////
+
+/**
+ * Stop running and watching test files, killing any child processes, and write any test output and error messages not yet written. Call on premature exit and to end watching.
+ */
+
+Runner.prototype.close = function () {
+    clearTimeout(this._watchTimer);
+    _.forOwn(this._watchers, function (watcher) {
+        watcher.close();
+    });
+    this._watchers = {};
+    this._watch = false;
+
+    // Terminate children if left hanging (e.g. ctrl-c from debugger)
+
+    this._fileRuns.forEach(function (fileRun) {
+        if (fileRun.child !== null)
+            this._signalChild(fileRun, 'SIGKILL');
+    }, this);
+    this._endStdioStreams();
+    this._writeOutput();
+};
+
+/**
+ * List the selected root subtests without running them. The runner resolves with an object having these properties:
+ *   - tests: array of the selected root subtests, each an object having properties number, name, file (relative to cwd), and line (null if unknown)
+ *   - errors: text of error messages, or '' if none
+ *
+ * @return this runner
+ */
+
+Runner.prototype.list = function () {
+    var self = this;
+    process.nextTick(function () {
+        if (!self._findFiles())
+            return;
+        if (self._failedOnly && !self._selectFailedTests()) {
+            self._resolve({ tests: [], errors: '' });
+            return;
+        }
+        if (self._commands.length > 0) {
+            self.emit('warning', "the root subtests of commands can't be "+
+                    "listed without running the commands");
+        }
+        self._fileRuns = _.range(self._filePaths.length -
+                self._commands.length).map(function (fileIndex) {
+            return makeFileRun(fileIndex);
+        });
+        self._countTests(function () {
+            self._finishList();
+        });
+    });
+    return this;
+};
+
+/**
+ * Run the selected root subtests of the test files. The runner resolves with the results of the run, or of the first run when watching.
+ *
+ * @return this runner
+ */
+
+Runner.prototype.run = function () {
+    var self = this;
+    process.nextTick(function () { // allow caller to install listeners
+        if (!self._findFiles())
+            return;
+        if (self._failedOnly && !self._selectFailedTests()) {
+            self._resolve(makeResults());
+            return;
+        }
+        self._startRun(_.range(self._filePaths.length));
+    });
+    return this;
+};
+
+Runner.prototype.then = function (onFulfilled, onRejected) {
+    return this._promise.then(onFulfilled, onRejected);
+};
+
+Runner.prototype.catch = function (onRejected) {
+    return this._promise.catch(onRejected);
+};
+
+//// PRIVATE METHODS //////////////////////////////////////////////////////////
+
+Runner.prototype._abort = function () {
+    this._bailed = true;
+    if (this._printer !== null && this._printer.abort && !this._aborted)
+        this._printer.abort();
+    this._aborted = true;
+};
+
+Runner.prototype._awaitHeartbeat = function (fileRun) {
+    var self = this;
+    fileRun.heartbeatTimer = setTimeout(function() {
+        if (fileRun.gotPulse) {
+            fileRun.gotPulse = false;
+            self._awaitHeartbeat(fileRun);
+        }
+        else {
+            self._errorMessages += toErrorMessage(
+                    self._toRelativePath(fileRun) +" timed out after "+
+                    self._timeout +" millis of inactivity");
+            self._abort();
+            self._killChild(fileRun);
+            // wait for child stdio before finishing
+        }
+    }, this._timeout);
+};
+
+Runner.prototype._bailCommand = function (fileRun) {
+    // bail out as the runfile would on reaching maxFailedTests
+    fileRun.commandTap.bailPending = false;
+    fileRun.commandTap.bailed = true;
+    this._deliverCommandTap(fileRun, "Bail out! Aborted after "+
+            this._failedTests +" failed test(s)\n");
+    if (fileRun.child !== null && fileRun.sigtermTimer === null)
+        this._killChild(fileRun);
+};
+
+Runner.prototype._beginCommandTest = function (fileRun, name) {
+    var commandTap = fileRun.commandTap;
+    var testNumber = fileRun.priorTestNumber + (++commandTap.testCount);
+    var nameRegex = (this._grep !== null ? new RegExp(this._grep) : null);
+    var fileRegex = (this._grepFile !== null ?
+            new RegExp(this._grepFile) : null);
+    commandTap.testNumber = testNumber;
+    commandTap.testName = name;
+    commandTap.testStartTime = Date.now();
+    commandTap.stdioStartTime = commandTap.testStartTime;
+    commandTap.skipping = !this._isListedTest({
+        number: testNumber,
+        name: name,
+        file: this._filePaths[fileRun.fileIndex]
+    }, nameRegex, fileRegex);
+    if (!commandTap.skipping)
+        this._writeCommandStdout(fileRun, STDIO_MARK + testNumber +"\u0000");
+    this._deliverCommandTap(fileRun, ROOT_SUBTEST_INDENT +
+            "# Subtest: ["+ testNumber +"] "+ name +"\n");
+};
+
+Runner.prototype._checkTestsFound = function () {
+    var testCount = this._sumTestCounts(this._filePaths.length);
+    if (testCount === 0) {
+        this._abort();
+        this._errorMessages += toErrorMessage("no subtests found");
+    }
+    else if (this._lastSelectedTest > testCount) {
+        var range;
+        if (this._lastSelectedTest === testCount + 1)
+            range = " "+ this._lastSelectedTest;
+        else
+            range = "s "+ (testCount + 1) +".."+ this._lastSelectedTest;
+        this._userError("root subtest"+ range +" not found");
+    }
+};
+
+// Tally the coverage of the run from the coverage directory, removing the directory.
+
+Runner.prototype._collectCoverage = function () {
+    var self = this;
+    var collected = coverage.collectCoverage(this._coverageDir,
+            function (filePath) {
+        return (self._isLocalModule(filePath) &&
+                self._filePaths.indexOf(filePath) < 0);
+    });
+    this._coverageDir = null;
+
+    this._results.coverage = coverage.summarizeCoverage(collected.coverage,
+            this._cwd);
+    if (!this._isSelectingTests())
+        return;
+    this._results.testCoverage = _.sortBy(this._durations.filter(
+            function (duration) {
+        return !!collected.testCoverages[duration.number];
+    }), 'number').map(function (duration) {
+        return {
+            number: duration.number,
+            name: duration.name,
+            files: coverage.listExecutedLines(
+                    collected.testCoverages[duration.number], self._cwd)
+        };
+    });
+};
+
+Runner.prototype._countTests = function (done) {
+    var self = this;
+    var countIndex = 0;
+    var countingCount = 0;
+    countNextFiles();
+
+    function countNextFiles() {
+        while (countingCount < self._jobs &&
+                countIndex < self._fileRuns.length && !self._bailed)
+        {
+            var fileRun = self._fileRuns[countIndex++];
+            if (!self._isCommand(fileRun.fileIndex)) { // can't count commands
+                countFileTests(fileRun);
+                ++countingCount;
+            }
+        }
+        if (countingCount === 0)
+            done(); // done even if bailed, so caller can finish
+    }
+
+    function countFileTests(fileRun) {
+        var child = self._spawnChild({
+            stdio: ['ignore', 'ignore', 'ignore', 'ipc']
+        });
+        fileRun.child = child;
+        child.on('message', function (msg) {
+            fileRun.gotPulse = true;
+            switch (msg.event) {
+                case 'ready':
+                    child.send(self._makeConfig(fileRun, {
+                        listOnly: true,
+                        inspectPort: 0 // don't debug when only listing
+                    }));
+                    break;
+                case 'listed':
+                    fileRun.testCount = msg.testCount;
+                    fileRun.listedTests = msg.tests;
+                    self._testCounts[fileRun.fileIndex] = msg.testCount;
+                    break;
+                case 'error':
+                case 'rejection':
+                    self._handleChildError(fileRun, msg);
+                    break;
+            }
+        });
+        child.on('exit', function () {
+            clearTimeout(fileRun.heartbeatTimer);
+            if (fileRun.sigtermTimer !== null)
+                clearTimeout(fileRun.sigtermTimer);
+            fileRun.sigtermTimer = null;
+            fileRun.child = null;
+            if (fileRun.testCount === null && !self._bailed) {
+                self._abort();
+                self._errorMessages += toErrorMessage("failed to count "+
+                        "root subtests of "+ self._toRelativePath(fileRun));
+            }
+            --countingCount;
+            countNextFiles();
+        });
+        fileRun.gotPulse = true;
+        if (self._timeout > 0)
+            self._awaitHeartbeat(fileRun);
+    }
+};
+
+Runner.prototype._deliverChunk = function (fileRun, chunk) {
+    if (fileRun === this._fileRuns[this._flushIndex])
+        this._writeChunk(chunk);
+    else
+        fileRun.chunks.push(chunk);
+};
+
+Runner.prototype._deliverCommandTap = function (fileRun, text) {
+    var commandTap = fileRun.commandTap;
+    if (commandTap.skipping)
+        return;
+    if (!commandTap.started) {
+        commandTap.started = true;
+        if (text.indexOf('TAP version') !== 0)
+            this._receiveChunk(fileRun, COMMAND_TAP_VERSION);
+    }
+    this._receiveChunk(fileRun, text);
+};
+
+// Complete the TAP of a command as the runfile would complete it, failing a root subtest that the command didn't finish and ending with the root plan, which Runner uses to separate the TAP of successive test files. A command that exits with a non-zero code or on a signal that Runner didn't send fails with a root-level assertion after its TAP, or with an error when it wrote no TAP.
+
+Runner.prototype._endCommand = function (fileRun, exitCode, signal) {
+    var commandTap = fileRun.commandTap;
+    var exitText = (signal ? "was killed by signal "+ signal :
+            "exited with code "+ exitCode);
+    var crashed = ((exitCode !== 0 || signal) && !this._bailed &&
+            fileRun.sigtermTimer === null);
+    commandTap.skipping = false;
+    if (commandTap.bailPending)
+        this._bailCommand(fileRun);
+    if (!commandTap.bailed) {
+        if (commandTap.testNumber !== null)
+            this._receiveCommandLine(fileRun, "not ok\n"); // names the test
+        if (commandTap.started && crashed) {
+            this._deliverCommandTap(fileRun, "not ok "+
+                    (++commandTap.testPoints) +" - command "+ exitText +"\n");
+        }
+        if (commandTap.started)
+            this._deliverCommandTap(fileRun,
+                    "1.."+ commandTap.testPoints +"\n");
+    }
+    if (!commandTap.started && crashed) {
+        this._errorMessages += toErrorMessage("command `"+
+                this._filePaths[fileRun.fileIndex] +"` "+ exitText +
+                " without writing TAP");
+    }
+    this._testCounts[fileRun.fileIndex] = commandTap.testCount;
+};
+
+Runner.prototype._endStdioStreams = function () {
+    if (this._stdoutStream !== null)
+        this._stdoutStream.end();
+    if (this._stderrStream !== null)
+        this._stderrStream.end();
+    this._stdoutStream = null;
+    this._stderrStream = null;
+};
+
+// Estimate the total millis that the selected root subtests of the given files will take, from the durations of prior runs. Root subtests are selected by the numbers they last had, so the estimate is only approximate when root subtests have been added or removed. Returns null if none of the selected root subtests have a history.
+
+Runner.prototype._estimateDuration = function (fileIndexes) {
+    var nameRegex = (this._grep !== null ? new RegExp(this._grep) : null);
+    var fileRegex = (this._grepFile !== null ?
+            new RegExp(this._grepFile) : null);
+    var self = this;
+    var estimate = null;
+    fileIndexes.forEach(function (fileIndex) {
+        var file = self._toRelativePath({ fileIndex: fileIndex });
+        _.forEach(self._timings[file] || {}, function (timing, name) {
+            var test = { number: timing.number, name: name, file: file };
+            if (self._isListedTest(test, nameRegex, fileRegex))
+                estimate = (estimate || 0) +
+                        runState.getTypicalDuration(timing);
+        });
+    });
+    return estimate;
+};
+
+Runner.prototype._endCommandTest = function (fileRun, testPointParts) {
+    // record the outcome of a command's root subtest from its test point
+    var commandTap = fileRun.commandTap;
+    var ok = (testPointParts[1] === 'ok' ||
+            REGEX_TODO_DIRECTIVE.test(testPointParts[3]));
+    var time = testPointParts[3].match(REGEX_TIME_DIRECTIVE);
+    var testNumber = commandTap.testNumber;
+    var skipped = commandTap.skipping;
+    commandTap.testNumber = null;
+    commandTap.stdioStartTime = commandTap.startTime;
+    if (skipped)
+        return; // unselected root subtests don't count
+    this._writeCommandStdout(fileRun, STDIO_MARK +"\u0000");
+    this._receiveRootEnd(fileRun, {
+        testNumber: testNumber,
+        name: commandTap.testName,
+        ok: ok,
+        duration: (time !== null ? Math.round(parseFloat(time[1])) :
+                Date.now() - commandTap.testStartTime)
+    });
+    if (!ok && this._maxFailedTests > 0 &&
+            ++this._failedTests === this._maxFailedTests)
+        commandTap.bailPending = true; // bail after the test point's YAML
+};
+
+Runner.prototype._findFiles = function () {
+    var self = this;
+    this._filePatterns.forEach(function (pattern) {
+        glob.sync(pattern, {
+            cwd: self._cwd,
+            nodir: true
+        }).forEach(function (file) {
+            self._filePaths.push(path.resolve(self._cwd, file));
+        });
+    });
+    if (this._filePaths.length === 0 && this._filePatterns.length > 0) {
+        this._reject(new Error("no files match pattern"));
+        return false;
+    }
+    this._fingerprint = runState.fingerprintFiles(this._cwd, this._filePaths,
+            this._commands);
+    this._filePaths = this._filePaths.concat(this._commands);
+    this._filePaths.forEach(function (filePath) {
+        self._testCounts.push(null);
+        self._modulePaths.push([]);
+        self._failedTestNumbers.push([]);
+    });
+    return true;
+};
+
+Runner.prototype._finishList = function () {
+    var self = this;
+    var tests = [];
+    if (!this._bailed)
+        this._checkTestsFound();
+    if (!this._bailed) {
+        this._fileRuns.forEach(function (fileRun) {
+            tests = tests.concat(self._selectListedTests(fileRun));
+        });
+    }
+    var errors = this._errorMessages;
+    this._endStdioStreams();
+    this._writeOutput();
+    this._resolve({ tests: tests, errors: errors });
+};
+
+Runner.prototype._finishRun = function () {
+    if (this._saveState && this._results.files > 0) // keep prior if none ran
+        this._saveLastRun();
+    if (this._saveState && this._recordTimings && this._durations.length > 0)
+        this._saveTimings();
+    if (this._coverageDir !== null)
+        this._collectCoverage();
+    if (!this._bailed)
+        this._checkTestsFound();
+
+    // Abort output of tap parser and pretty printer.
+
+    if (this._printer !== null)
+        this._printer.end();
+    this._tapTally.end(); // releases the last assertion
+    this._running = false;
+
+    // Output what would otherwise await exit, reporting the results.
+
+    var results = this._results;
+    results.failedTestNumbers = _.sortBy(results.failedTestNumbers);
+    results.flakyTestNumbers = _.sortBy(results.flakyTestNumbers);
+    results.timingRegressions = _.sortBy(results.timingRegressions, 'number');
+    results.bailed = this._bailed;
+    results.errors = this._errorMessages;
+    if (!this._watch)
+        this._endStdioStreams();
+    this._writeOutput();
+    this.emit('end', results);
+    this._resolve(results); // only the first run resolves the promise
+
+    // When watching, wait for further changes, unless changes occurred
+    // during the run.
+
+    if (this._watch) {
+        this._watchFiles();
+        if (this._changedPaths.length > 0)
+            this._rerunChangedFiles();
+    }
+};
+
+Runner.prototype._flushFileRuns = function () {
+    var fileRun = this._fileRuns[this._flushIndex];
+    while (fileRun && fileRun.exited) {
+
+        // transfer the child's output to the appropriate destinations
+
+        fileRun.stdoutStream = this._saveTestStdio('stdout', this._stdout,
+                process.stdout, fileRun);
+        fileRun.stderrStream = this._saveTestStdio('stderr', this._stderr,
+                process.stderr, fileRun);
+
+        fileRun = this._fileRuns[++this._flushIndex];
+        if (fileRun && !this._bailed) {
+            fileRun.chunks.forEach(this._writeChunk, this);
+            fileRun.chunks = [];
+        }
+    }
+    if (this._bailed)
+        this._killRunningChildren();
+};
+
+Runner.prototype._handleChildError = function (fileRun, msg) {
+    this._abort();
+    this._killRunningChildren(fileRun);
+    if (msg.event === 'rejection') { // promise rejection reason
+        this._errorMessages += "Rejected Promise: "+ msg.reason +"\n";
+        return;
+    }
+    var errInfo = msg.errInfo;
+    var callInfo = callStack.getCallSourceInfo(errInfo.stack);
+    var message = "\n";
+    if (callInfo !== null) {
+        message +=
+            callInfo.file +":"+ callInfo.line +":"+
+            callInfo.column +"\n"+ callInfo.source +"\n"+
+            ' '.repeat(callInfo.column - 1) +"^\n";
+    }
+    message += errInfo.stack;
+    delete errInfo['message'];
+    delete errInfo['stack'];
+    if (Object.keys(errInfo).length > 0) {
+        if (message[message.length - 1] !== "\n")
+            message += "\n";
+        message += yaml.safeDump(errInfo, { indent: this._tabSize });
+    }
+    this._errorMessages += message +"\n";
+};
+
+Runner.prototype._hasSelectedTest = function (fileRun) {
+    if (this._selectedTests === '')
+        return (fileRun.testCount > 0);
+    var priorTestNumber = this._sumTestCounts(fileRun.fileIndex);
+    var firstTestNumber = priorTestNumber + 1;
+    var lastTestNumber = priorTestNumber + fileRun.testCount;
+    return this._selectedTests.match(REGEX_SUBSET_RANGES).some(
+            function (range) {
+        var endPoints = range.match(/\d+/g);
+        var start = parseInt(endPoints[0]);
+        var end = (endPoints.length > 1 ? parseInt(endPoints[1]) : start);
+        return (start <= lastTestNumber && end >= firstTestNumber);
+    });
+};
+
+Runner.prototype._isCommand = function (fileIndex) {
+    return (fileIndex >= this._filePaths.length - this._commands.length);
+};
+
+Runner.prototype._isListedTest = function (test, nameRegex, fileRegex) {
+    if (nameRegex !== null && !nameRegex.test(test.name))
+        return false;
+    if (fileRegex !== null && !fileRegex.test(test.file))
+        return false;
+    if (this._selectedTests === '')
+        return true;
+    return this._selectedTests.match(REGEX_SUBSET_RANGES).some(
+            function (range) {
+        var endPoints = range.match(/\d+/g);
+        var start = parseInt(endPoints[0]);
+        var end = (endPoints.length > 1 ? parseInt(endPoints[1]) : start);
+        return (test.number >= start && test.number <= end);
+    });
+};
+
+Runner.prototype._isLocalModule = function (modulePath) {
+    return (modulePath.indexOf(this._cwd + path.sep) === 0 &&
+            modulePath.indexOf(path.sep +'node_modules'+ path.sep) < 0 &&
+            modulePath !== Runner.RUNFILE_PATH);
+};
+
+Runner.prototype._isSelectingTests = function () {
+    return (this._selectedTests !== '' || this._grep !== null ||
+            this._grepFile !== null);
+};
+
+// Replace the run of each test file with a run of each of its selected root subtests, each in its own child process.
+
+Runner.prototype._isolateTests = function () {
+    var self = this;
+    var testRuns = [];
+    this._fileRuns.forEach(function (fileRun) {
+        if (self._isCommand(fileRun.fileIndex)) {
+            testRuns.push(fileRun); // commands can't run selected subtests
+            return;
+        }
+        var fileTestRuns = self._selectListedTests(fileRun).map(
+                function (test) {
+            var testRun = makeFileRun(fileRun.fileIndex);
+            testRun.selectedTests = String(test.number);
+            testRun.testCount = fileRun.testCount;
+            return testRun;
+        });
+        if (self._shuffleSeed !== null) {
+            fileTestRuns = shuffle.shuffle(fileTestRuns,
+                    self._shuffleSeed + fileRun.fileIndex);
+        }
+        fileTestRuns.forEach(function (testRun, i) {
+            testRun.firstOfFile = (i === 0);
+        });
+        testRuns = testRuns.concat(fileTestRuns);
+    });
+    this._fileRuns = testRuns;
+};
+
+Runner.prototype._killChild = function (fileRun) {
+    var self = this;
+    this._signalChild(fileRun, 'SIGTERM');
+    fileRun.sigtermTimer = setTimeout(function () {
+        self._errorMessages += toErrorMessage(
+                "forced to SIGKILL unresponsive child process");
+        self._signalChild(fileRun, 'SIGKILL');
+    }, SIGTERM_TIMEOUT_MILLIS);
+};
+
+Runner.prototype._killRunningChildren = function (exceptFileRun) {
+    this._fileRuns.forEach(function (fileRun) {
+        if (fileRun !== exceptFileRun && fileRun.child !== null &&
+                fileRun.sigtermTimer === null)
+        {
+            fileRun.discarded = true; // output no longer of interest
+            this._killChild(fileRun);
+        }
+    }, this);
+};
+
+Runner.prototype._makeConfig = function (fileRun, extraConfig) {
+    var config = {
+        event: 'config',
+        tapPath: this._tapPath,
+        tapLimit: this._tapLimit,
+        priorTestNumber: fileRun.priorTestNumber,
+        testFileRegexStr: this._testFileRegexStr,
+        selectedTests: (fileRun.selectedTests !== null ?
+                fileRun.selectedTests : this._selectedTests),
+        grep: this._grep,
+        grepFile: this._grepFile,
+        failedTests: (this._jobs === 1 ? this._failedTests : 0),
+        maxFailedTests: this._maxFailedTests,
+        retriesLeft: this._retry - fileRun.attempt + 1,
+        catchExceptions: this._catchExceptions,
+        filePath: this._filePaths[fileRun.fileIndex],
+        inspectPort: this._inspectPort,
+        inspectHost: this._inspectHost,
+        debugBreak: this._debugBreak,
+        listOnly: false,
+        shuffleSeed: (this._shuffleSeed !== null ?
+                this._shuffleSeed + fileRun.fileIndex : null),
+        reportModules: this._watch,
+        markStdout: (CAPTURED_STDIO.indexOf(this._stdout) >= 0),
+        markStderr: (CAPTURED_STDIO.indexOf(this._stderr) >= 0),
+        inlineStdout: (this._stdout === 'inline'),
+        inlineStderr: (this._stderr === 'inline'),
+        coverageDir: (this._isSelectingTests() ? this._coverageDir : null)
+    };
+    return _.assign(config, extraConfig);
+};
+
+// When retrying, hold the TAP of each root subtest until the next root subtest begins or the file ends, by which time the child has reported whether the root subtest failed and will be retried.
+
+Runner.prototype._receiveChunk = function (fileRun, text) {
+    var matches = text.match(REGEX_ROOT_SUBTEST_START);
+    var chunks = [ text ];
+    if (matches !== null && fileRun.slowThresholds[matches[1]] !== undefined)
+        chunks.push({ slow: fileRun.slowThresholds[matches[1]] });
+    if (this._retry > 0) {
+        if (matches !== null || REGEX_ROOT_PLAN.test(text))
+            this._releaseSegment(fileRun);
+        if (matches !== null)
+            fileRun.segmentNumber = parseInt(matches[1]);
+        if (fileRun.segmentNumber !== null) {
+            fileRun.segment = fileRun.segment.concat(chunks);
+            return;
+        }
+    }
+    chunks.forEach(function (chunk) {
+        this._deliverChunk(fileRun, chunk);
+    }, this);
+};
+
+// Number the root subtests of a command's normalized TAP, one line at a time, and separate out stdout output. Unselected root subtests are skipped, along with any YAML of their test points, and the remaining root test points are renumbered.
+
+Runner.prototype._receiveCommandLine = function (fileRun, line) {
+    var commandTap = fileRun.commandTap;
+    if (commandTap.bailed)
+        return;
+    var body = line.replace(/\n$/, '');
+    var indent = body.match(/^ */)[0];
+    body = body.slice(indent.length);
+    var afterTestPoint = commandTap.afterTestPoint;
+    commandTap.afterTestPoint = false;
+
+    // pass YAML through with the test point it follows
+
+    if (commandTap.yamlIndent !== null) {
+        this._deliverCommandTap(fileRun, line);
+        if (indent === commandTap.yamlIndent && body === '...') {
+            commandTap.yamlIndent = null;
+            commandTap.afterTestPoint = true; // end of the test point
+        }
+        return;
+    }
+    if (afterTestPoint && indent !== '' && body === '---') {
+        commandTap.yamlIndent = indent;
+        this._deliverCommandTap(fileRun, line);
+        return;
+    }
+    if (commandTap.bailPending) {
+        this._bailCommand(fileRun);
+        return;
+    }
+    if (commandTap.testNumber === null)
+        commandTap.skipping = false; // a skipped test ends after its YAML
+
+    // non-TAP lines are stdout output
+
+    if (body !== '' && !REGEX_COMMAND_TAP.test(body)) {
+        this._receiveCommandStdout(fileRun, line);
+        return;
+    }
+
+    // number root subtests, which TapNormalizer begins with comments at
+    // the indentation of their assertions
+
+    if (indent === ROOT_SUBTEST_INDENT && /^# Subtest: /.test(body) &&
+            commandTap.testNumber === null)
+    {
+        this._beginCommandTest(fileRun, body.slice("# Subtest: ".length));
+        return;
+    }
+    if (indent !== '' || body === '') {
+        this._deliverCommandTap(fileRun, line);
+        commandTap.afterTestPoint = /^(?:not )?ok\b/.test(body);
+        return;
+    }
+
+    // renumber root test points, replacing the root plan
+
+    if (/^TAP version/i.test(body)) {
+        if (!commandTap.started) // later versions are subtests of tap 13
+            this._deliverCommandTap(fileRun, line);
+    }
+    else if (REGEX_ROOT_PLAN.test(body)) {
+        // replaced by the plan for the renumbered test points
+    }
+    else if (REGEX_COMMAND_TEST_POINT.test(body)) {
+        var parts = body.match(REGEX_COMMAND_TEST_POINT);
+        var description = parts[2];
+        if (commandTap.testNumber !== null) {
+            description = "["+ commandTap.testNumber +"] "+
+                    commandTap.testName;
+        }
+        if (!commandTap.skipping) {
+            this._deliverCommandTap(fileRun, parts[1] +' '+
+                    (++commandTap.testPoints) + (description !== '' ?
+                    ' - '+ description : '') + parts[3] +"\n");
+        }
+        commandTap.afterTestPoint = true;
+        if (commandTap.testNumber !== null)
+            this._endCommandTest(fileRun, parts);
+    }
+    else {
+        this._deliverCommandTap(fileRun, line);
+        if (/^bail out!/i.test(body))
+            commandTap.bailed = true;
+    }
+};
+
+Runner.prototype._receiveCommandStdout = function (fileRun, text) {
+    if (this._stdout === 'inline') {
+        this._receiveStdio(fileRun, {
+            channel: 'stdout',
+            text: text,
+            time: Date.now() - fileRun.commandTap.stdioStartTime
+        });
+    }
+    else
+        this._writeCommandStdout(fileRun, text);
+};
+
+// Answer a prompt of a test file, suspending the heartbeat while the user answers at the terminal.
+
+Runner.prototype._receivePrompt = function (fileRun, msg) {
+    var self = this;
+    var awaitingUser = this._promptResponder.answer(msg, function (response) {
+        fileRun.child.send(response);
+        if (awaitingUser && self._timeout > 0)
+            self._awaitHeartbeat(fileRun); // resume heartbeat
+    });
+    if (awaitingUser)
+        clearTimeout(fileRun.heartbeatTimer); // suspend heartbeat
+};
+
+// Record the outcome of the last attempt at a root subtest. msg has the properties of the runfile's 'rootEnd' message.
+
+Runner.prototype._receiveRootEnd = function (fileRun, msg) {
+    ++this._results.rootSubtests;
+    if (!msg.ok) {
+        this._failedTestNumbers[fileRun.fileIndex].push(msg.testNumber);
+        ++this._results.failedRootSubtests;
+        this._results.failedTestNumbers.push(msg.testNumber);
+    }
+    var flaky = (msg.ok && fileRun.attempt > 1);
+    if (flaky) {
+        fileRun.flakyTests.push(msg.testNumber);
+        this._results.flakyTestNumbers.push(msg.testNumber);
+    }
+    var relativePath = this._toRelativePath(fileRun);
+    var baseline = runState.getBaseline(this._timings, relativePath,
+            msg.name);
+    var testInfo = {
+        number: msg.testNumber,
+        name: msg.name,
+        file: this._filePaths[fileRun.fileIndex],
+        ok: msg.ok,
+        flaky: flaky,
+        duration: msg.duration,
+        baseline: baseline,
+        regressed: (baseline !== null &&
+                runState.isRegression(msg.duration, baseline))
+    };
+    this._durations.push({
+        file: relativePath,
+        name: msg.name,
+        number: msg.testNumber,
+        duration: msg.duration
+    });
+    if (testInfo.regressed)
+        this._results.timingRegressions.push(testInfo);
+    this.emit('testEnd', testInfo);
+};
+
+// Inline stdio follows the TAP that preceded it, so it's held with the TAP of the current root subtest when retrying, and it's dropped if the root subtest is retried.
+
+Runner.prototype._receiveStdio = function (fileRun, stdio) {
+    if (fileRun.segmentNumber !== null)
+        fileRun.segment.push(stdio);
+    else
+        this._deliverChunk(fileRun, stdio);
+};
+
+Runner.prototype._releaseSegment = function (fileRun) {
+    var testNumber = fileRun.segmentNumber;
+    if (testNumber === null)
+        return;
+    if (fileRun.retryTests.indexOf(testNumber) < 0) { // drop if retrying
+        var flaky = (fileRun.flakyTests.indexOf(testNumber) >= 0);
+        fileRun.segment.forEach(function (chunk) {
+            if (flaky && typeof chunk === 'string')
+                chunk = markFlaky(chunk);
+            this._deliverChunk(fileRun, chunk);
+        }, this);
+    }
+    fileRun.segment = [];
+    fileRun.segmentNumber = null;
+};
+
+Runner.prototype._rerunChangedFiles = function () {
+    var self = this;
+    var fileIndexes = [];
+    this._filePaths.forEach(function (filePath, fileIndex) {
+        if (self._changedPaths.indexOf(filePath) >= 0 || _.intersection(
+                self._changedPaths, self._modulePaths[fileIndex]).length > 0)
+            fileIndexes.push(fileIndex);
+    });
+    this._changedPaths = [];
+    if (fileIndexes.length > 0)
+        this._startRun(fileIndexes);
+};
+
+Runner.prototype._runCommand = function (fileRun) {
+    var self = this;
+    var command = this._filePaths[fileRun.fileIndex];
+
+    // Spawn the command in its own process group, so that killing the
+    // group also kills the processes the shell spawns.
+
+    var child = spawn(command, [], {
+        cwd: this._cwd,
+        env: this._childEnv,
+        shell: true,
+        detached: true,
+        stdio: ['inherit', 'pipe', 'pipe']
+    });
+    fileRun.child = child;
+    fileRun.tapNormalizer = new TapNormalizer();
+    fileRun.commandTap = makeCommandTap(Date.now());
+    fileRun.priorTestNumber = this._sumTestCounts(fileRun.fileIndex);
+    this._failedTestNumbers[fileRun.fileIndex] = [];
+    ++this._results.files;
+    ++this._runningCount;
+    this.emit('fileStart', { file: command, attempt: fileRun.attempt });
+
+    // Separate stdout output from the TAP, and buffer or redirect stderr.
+
+    if (CAPTURED_STDIO.indexOf(this._stdout) >= 0)
+        fileRun.stdoutStream = new MemoryStream();
+    fileRun.stderrStream = directChildOutput(this._stderr, child.stderr,
+                        this._stderrStream, process.stderr);
+    child.stdout.setEncoding('utf8');
+    child.stdout.on('data', function (text) {
+        fileRun.gotPulse = true;
+        fileRun.tapNormalizer.write(text).forEach(function (line) {
+            self._receiveCommandLine(fileRun, line);
+        });
+    });
+    child.stderr.on('data', function () {
+        fileRun.gotPulse = true;
+    });
+    child.on('error', function (err) {
+        self._errorMessages += toErrorMessage("failed to run command `"+
+                command +"`: "+ err.message);
+    });
+
+    // Complete the run once the command exits and its output is read.
+
+    child.on('close', function (exitCode, signal) {
+        clearTimeout(fileRun.heartbeatTimer);
+        if (fileRun.sigtermTimer !== null)
+            clearTimeout(fileRun.sigtermTimer); // SIGTERM worked, no SIGKILL
+        fileRun.child = null;
+        fileRun.exited = true;
+        --self._runningCount;
+        fileRun.tapNormalizer.end().forEach(function (line) {
+            self._receiveCommandLine(fileRun, line);
+        });
+        self._endCommand(fileRun, exitCode, signal);
+        self._releaseSegment(fileRun);
+        self.emit('fileEnd', {
+            file: command,
+            attempt: fileRun.attempt,
+            testCount: self._testCounts[fileRun.fileIndex],
+            failedTestNumbers: self._failedTestNumbers[fileRun.fileIndex]
+        });
+        self._flushFileRuns();
+        self._runNextFiles();
+    });
+
+    // Begin the heartbeat timeout to catch the command hanging.
+
+    fileRun.gotPulse = true;
+    if (this._timeout > 0)
+        this._awaitHeartbeat(fileRun);
+};
+
+Runner.prototype._runFile = function (fileRun) {
+    var self = this;
+    var filePath = this._filePaths[fileRun.fileIndex];
+
+    // Spawn a child process to perform the test, with appropriate options.
+
+    var childOptions = { stdio: ['inherit', 'pipe', 'pipe', 'ipc'] };
+    if (this._coverageDir !== null) {
+        childOptions.env = _.assign({}, this._childEnv, {
+            NODE_V8_COVERAGE: this._coverageDir
+        });
+    }
+    var child = this._spawnChild(childOptions);
+    fileRun.child = child;
+    fileRun.tapNormalizer = new TapNormalizer();
+    if (fileRun.firstOfFile) { // retries and isolated tests share the file
+        this._failedTestNumbers[fileRun.fileIndex] = [];
+        ++this._results.files;
+    }
+    ++this._runningCount;
+    this.emit('fileStart', { file: filePath, attempt: fileRun.attempt });
+
+    // Buffer or redirect the child stderr and stdout streams.
+
+    fileRun.stdoutStream = directChildOutput(this._stdout, child.stdout,
+                        this._stdoutStream, process.stdout);
+    fileRun.stderrStream = directChildOutput(this._stderr, child.stderr,
+                        this._stderrStream, process.stderr);
+
+    // Install handlers for child process state messages.
+
+    child.on('message', function (msg) {
+        fileRun.gotPulse = true;
+        switch (msg.event) {
+            case 'ready':
+                fileRun.priorTestNumber =
+                        self._sumTestCounts(fileRun.fileIndex);
+                child.send(self._makeConfig(fileRun));
+                break;
+            case 'chunk':
+                fileRun.tapNormalizer.write(msg.text).forEach(function (line) {
+                    self._receiveChunk(fileRun, line);
+                });
+                break;
+            case 'stdio':
+                self._receiveStdio(fileRun, {
+                    channel: msg.channel,
+                    text: msg.text,
+                    time: msg.time
+                });
+                break;
+            case 'inspect':
+                self.emit('inspect', { file: filePath, url: msg.url });
+                break;
+            case 'error':
+            case 'rejection':
+                self._handleChildError(fileRun, msg);
+                break;
+            case 'slow':
+                fileRun.slowThresholds[msg.testNumber] = msg.slow;
+                break;
+            case 'rootEnd':
+                if (!msg.ok && fileRun.attempt <= self._retry) {
+                    fileRun.retryTests.push(msg.testNumber);
+                    break; // the retry reports the outcome
+                }
+                self._receiveRootEnd(fileRun, msg);
+                break;
+            case 'done':
+                var testCount = msg.lastTestNumber - fileRun.priorTestNumber;
+                if (fileRun.testCount !== null &&
+                        testCount !== fileRun.testCount)
+                {
+                    self._abort();
+                    self._errorMessages += toErrorMessage(
+                            self._toRelativePath(fileRun) +" registered a "+
+                            "different number of root subtests than were "+
+                            "counted; counting them beforehand requires "+
+                            "registering root subtests synchronously");
+                }
+                self._testCounts[fileRun.fileIndex] = testCount;
+                if (msg.modulePaths) {
+                    self._modulePaths[fileRun.fileIndex] =
+                            msg.modulePaths.filter(self._isLocalModule, self);
+                }
+                if (self._jobs === 1)
+                    self._failedTests = msg.failedTests;
+                else
+                    self._failedTests += msg.failedTests;
+                // process resumes when child exits
+                break;
+            case 'prompt':
+                self._receivePrompt(fileRun, msg);
+                break;
+        }
+    });
+
+    // Install handler for completion of the child process.
+
+    child.on('exit', function (exitCode) {
+        // exitCode == 1 if any test fails, so can't bail run
+        clearTimeout(fileRun.heartbeatTimer); // child can exit w/out messaging
+        if (fileRun.sigtermTimer !== null)
+            clearTimeout(fileRun.sigtermTimer); // SIGTERM worked, no SIGKILL
+        fileRun.child = null;
+        fileRun.exited = true;
+        --self._runningCount;
+        fileRun.tapNormalizer.end().forEach(function (line) {
+            self._receiveChunk(fileRun, line);
+        });
+        self._releaseSegment(fileRun);
+        if (fileRun.retryTests.length > 0 && !self._bailed)
+            self._scheduleRetry(fileRun);
+        self.emit('fileEnd', {
+            file: filePath,
+            attempt: fileRun.attempt,
+            testCount: self._testCounts[fileRun.fileIndex],
+            failedTestNumbers: self._failedTestNumbers[fileRun.fileIndex]
+        });
+
+        // Output the results of files in order, then run the next files
+        // if there are more and we haven't bailed.
+
+        self._flushFileRuns();
+        self._runNextFiles();
+    });
+
+    // Begin the heartbeat timeout to catch child hanging.
+
+    fileRun.gotPulse = true;
+    if (this._timeout > 0)
+        this._awaitHeartbeat(fileRun);
+};
+
+Runner.prototype._runNextFiles = function () {
+    while (this._runningCount < this._jobs && !this._bailed &&
+            (this._retryRuns.length > 0 ||
+            this._nextFileIndex < this._fileRuns.length))
+    {
+        var retrying = (this._retryRuns.length > 0);
+        var fileRun = (retrying ? this._retryRuns[0] :
+                this._fileRuns[this._nextFileIndex]);
+        var isCommand = this._isCommand(fileRun.fileIndex);
+        if (isCommand && this._runningCount > 0)
+            break; // a command's numbering awaits the counts of prior runs
+        if (retrying)
+            this._retryRuns.shift();
+        else
+            ++this._nextFileIndex;
+        if (isCommand)
+            this._runCommand(fileRun);
+        else if (this._countFirst && fileRun.selectedTests === null &&
+                !this._hasSelectedTest(fileRun))
+        {
+            fileRun.exited = true; // skip file without selected tests
+            this._flushFileRuns();
+        }
+        else
+            this._runFile(fileRun);
+    }
+    if (this._runningCount === 0)
+        this._finishRun();
+};
+
+// Record the root subtests that failed. When the run selects root subtests of the same test files as the last run, the root subtests that didn't run keep their outcomes from the last run, so that rerunning some of the failures, as the interactive menu does, doesn't lose the others.
+
+Runner.prototype._saveLastRun = function () {
+    var lastRun = (this._isSelectingTests() ?
+            runState.readLastRun(this._stateDir) : null);
+    runState.writeLastRun(this._stateDir, runState.mergeLastRun(lastRun,
+            this._fingerprint, _.flatten(this._failedTestNumbers),
+            _.map(this._durations, 'number')));
+};
+
+Runner.prototype._saveTestStdio = function (
+        channel, dest, processStdio, fileRun)
+{
+    var stdioStream = (channel === 'stdout' ? fileRun.stdoutStream :
+            fileRun.stderrStream);
+    if (stdioStream === null || fileRun.discarded)
+        return null; // file was skipped, killed, or output went elsewhere
+    var filePath = this._filePaths[fileRun.fileIndex];
+    var failedTests = this._failedTestNumbers[fileRun.fileIndex];
+    var tuples = [];
+    splitStdio(stdioStream.toString()).forEach(function (segment) {
+        if (fileRun.retryTests.indexOf(segment.testNumber) >= 0)
+            return; // the retry's output supersedes it
+        if (dest === 'fail' && failedTests.indexOf(segment.testNumber) < 0)
+            return;
+        // identify the root subtest producing the output, if any
+        var file = filePath;
+        if (segment.testNumber !== null)
+            file += " ["+ segment.testNumber +"]";
+        else if (this._isolate && fileRun.selectedTests !== null)
+            file += " ["+ fileRun.selectedTests +"]";
+        var lastTuple = _.last(tuples);
+        if (lastTuple && lastTuple.file === file)
+            lastTuple.output += segment.output;
+        else {
+            tuples.push({
+                file: file,
+                channel: channel,
+                output: segment.output
+            });
+        }
+    }, this);
+    if (dest === 'end')
+        this._savedStdio = this._savedStdio.concat(tuples);
+    else {
+        tuples.forEach(function (tuple) {
+            writeChildOutput(processStdio, channel, tuple.file, tuple.output);
+        });
+    }
+    return null;
+};
+
+// Add the durations of this run's root subtests to the history of each root subtest by file and name, and save the history in the state directory.
+
+Runner.prototype._saveTimings = function () {
+    runState.writeTimings(this._stateDir,
+            runState.addDurations(this._timings, this._durations));
+};
+
+// Rerun the root subtests that failed and have retries left in a new child process, ahead of any test files not yet started.
+
+Runner.prototype._scheduleRetry = function (fileRun) {
+    // output the retry right after the attempt it retries, holding the
+    // output of files that ran concurrently, but run it before the files
+    // that haven't begun
+    var retryRun = makeFileRun(fileRun.fileIndex);
+    retryRun.firstOfFile = false;
+    retryRun.attempt = fileRun.attempt + 1;
+    retryRun.selectedTests = toSubsetRanges(fileRun.retryTests);
+    retryRun.testCount = fileRun.testCount;
+    this._fileRuns.splice(this._fileRuns.indexOf(fileRun) + 1, 0, retryRun);
+    ++this._nextFileIndex; // the attempt already ran, preceding the index
+    this._retryRuns.push(retryRun);
+};
+
+// Select the root subtests that failed on the last run. The numbers are only reliable if the test files haven't changed since. Returns false if there are no tests to run.
+
+Runner.prototype._selectFailedTests = function () {
+    var lastRun = runState.readLastRun(this._stateDir);
+    if (lastRun === null) {
+        this._reject(new Error("found no record of a prior run from which "+
+                "to select failed root subtests"));
+        return false;
+    }
+    if (lastRun.failedTests.length === 0) {
+        this.emit('warning', "no root subtests failed on the last run");
+        return false;
+    }
+    if (lastRun.fingerprint !== this._fingerprint) {
+        this.emit('warning', "the test files changed since the last run, "+
+                "so the failed root subtests selected may be wrong");
+    }
+    this._selectedTests = toSubsetRanges(lastRun.failedTests);
+    this._lastSelectedTest = _.last(lastRun.failedTests);
+    return true;
+};
+
+// Return the listed root subtests of a test file that the options select, numbered across all test files.
+
+Runner.prototype._selectListedTests = function (fileRun) {
+    var nameRegex = (this._grep !== null ? new RegExp(this._grep) : null);
+    var fileRegex = (this._grepFile !== null ?
+            new RegExp(this._grepFile) : null);
+    var priorTestNumber = this._sumTestCounts(fileRun.fileIndex);
+    return fileRun.listedTests.map(function (test) {
+        return _.assign({}, test, { number: priorTestNumber + test.number });
+    }).filter(function (test) {
+        return this._isListedTest(test, nameRegex, fileRegex);
+    }, this);
+};
+
+Runner.prototype._signalChild = function (fileRun, signal) {
+    if (!this._isCommand(fileRun.fileIndex))
+        fileRun.child.kill(signal);
+    else {
+        try {
+            process.kill(-fileRun.child.pid, signal); // the process group
+        }
+        catch (err) {
+            // the group already exited
+        }
+    }
+};
+
+Runner.prototype._spawnChild = function (childOptions) {
+    childOptions.env = childOptions.env || this._childEnv;
+    return spawn(process.execPath, this._childArgs, childOptions);
+};
+
+// Root subtests have consistent numbers from run-to-run for a given set of test files. Files run strictly sequentially in order unless jobs requests concurrency, the files are shuffled, or root subtests are isolated, in which case a preliminary pass counts the root subtests of each file so that each file can number its root subtests as it would in a sequential run. When watching, reruns continue to number root subtests by the counts of the most recent runs.
+
+Runner.prototype._startRun = function (fileIndexes) {
+    if (this._shuffleFiles) { // commands keep their places at the end
+        var commandIndexes = fileIndexes.filter(this._isCommand, this);
+        fileIndexes = shuffle.shuffle(_.difference(fileIndexes,
+                commandIndexes), this._shuffleSeed).concat(commandIndexes);
+    }
+    this._fileRuns = fileIndexes.map(function (fileIndex) {
+        return makeFileRun(fileIndex);
+    });
+    this._nextFileIndex = 0;
+    this._retryRuns = [];
+    this._flushIndex = 0;
+    this._results = makeResults();
+    this._failedTests = 0;
+    this._bailed = false;
+    this._aborted = false;
+    this._skippingChunks = false;
+    this._running = true;
+    this._timings = runState.readTimings(this._stateDir);
+    this._durations = [];
+    this._promptResponder.restart();
+    if (this._coverage)
+        this._coverageDir = coverage.makeCoverageDir();
+
+    var runInfo = {
+        files: fileIndexes.map(function (fileIndex) {
+            return this._filePaths[fileIndex];
+        }, this),
+        rerun: this._settled,
+        estimate: this._estimateDuration(fileIndexes)
+    };
+    this.emit('start', runInfo);
+    this._printer = (this._makePrinter !== null ?
+            this._makePrinter(runInfo) : null);
+    this._tapTally = makeTapTally(this._results);
+    if (this._countFirst) {
+        // run files after counting root subtests
+        var self = this;
+        this._countTests(function () {
+            if (self._isolate && !self._bailed)
+                self._isolateTests();
+            self._runNextFiles();
+        });
+    }
+    else
+        this._runNextFiles(); // run first file; each next runs after prev
+};
+
+Runner.prototype._sumTestCounts = function (endFileIndex) {
+    var sum = 0;
+    for (var i = 0; i < endFileIndex; ++i)
+        sum += this._testCounts[i] || 0;
+    return sum;
+};
+
+Runner.prototype._toRelativePath = function (fileRun) {
+    var filePath = this._filePaths[fileRun.fileIndex];
+    if (filePath.indexOf(this._cwd) === 0)
+        filePath = filePath.substr(this._cwd.length + 1);
+    return filePath;
+};
+
+Runner.prototype._userError = function (message) {
+    this._abort();
+    if (this._settled) // report problems with reruns with the run's errors
+        this._errorMessages += toErrorMessage(message);
+    else
+        this._reject(new Error(message));
+};
+
+Runner.prototype._watchFiles = function () {
+    var self = this;
+    var watchedPaths = _.union(this._filePaths.filter(function (filePath,
+            fileIndex) {
+        return !self._isCommand(fileIndex);
+    }), _.flatten(this._modulePaths));
+    watchedPaths.forEach(function (watchedPath) {
+        if (self._watchers[watchedPath])
+            return;
+        try {
+            self._watchers[watchedPath] = fs.watch(watchedPath,
+                    function (type) {
+                if (type === 'rename') {
+                    // editors may replace the file, ending this watch,
+                    // so watch the path anew after the rerun
+                    self._watchers[watchedPath].close();
+                    delete self._watchers[watchedPath];
+                }
+                if (self._changedPaths.indexOf(watchedPath) < 0)
+                    self._changedPaths.push(watchedPath);
+                clearTimeout(self._watchTimer);
+                self._watchTimer = setTimeout(function () {
+                    if (!self._running)
+                        self._rerunChangedFiles();
+                }, WATCH_DELAY_MILLIS);
+            });
+        }
+        catch (err) {
+            // path no longer exists; watch it if a rerun finds it again
+        }
+    });
+    this.emit('watch', watchedPaths);
+};
+
+Runner.prototype._writeChunk = function (chunk) {
+    if (typeof chunk !== 'string') {
+        if (chunk.slow === undefined)
+            this._writeStdio(chunk);
+        else if (this._printer !== null && this._printer.setRootSlow)
+            this._printer.setRootSlow(chunk.slow); // follows the test's name
+        return;
+    }
+    if (/^\s*bail out!/i.test(chunk)) // subtests may also bail out
+        this._bailed = true;
+    else if (REGEX_ROOT_PLAN.test(chunk))
+        this._skippingChunks = true;
+    if (!this._skippingChunks) {
+        if (chunk.indexOf('TAP version') === 0 && this._shuffleSeed !== null)
+            chunk += "# Shuffled with seed "+ this._shuffleSeed +"\n";
+        if (this._printer !== null)
+            this._printer.write(chunk);
+        this._tapTally.write(chunk);
+    }
+    if (chunk.indexOf('TAP version') === 0)
+        this._skippingChunks = false;
+};
+
+Runner.prototype._writeCommandStdout = function (fileRun, text) {
+    // marks only go to captured stdout, which attributes it to root subtests
+    if (fileRun.stdoutStream !== null)
+        fileRun.stdoutStream.write(text);
+    else if (text[0] !== "\u0000") {
+        if (this._stdout === 'mix' || this._stdout === 'inline')
+            process.stdout.write(text);
+        else if (this._stdout === 'file')
+            this._stdoutStream.write(text);
+    }
+};
+
+Runner.prototype._writeOutput = function () {
+    this._savedStdio.forEach(function (tuple) {
+        var stdio = (tuple.channel === 'stdout' ? process.stdout :
+                process.stderr);
+        writeChildOutput(stdio, tuple.channel, tuple.file, tuple.output);
+    });
+    if (this._errorMessages !== '')
+        process.stderr.write(this._errorMessages);
+    this._savedStdio = [];
+    this._errorMessages = '';
+};
+
+Runner.prototype._writeStdio = function (stdio) {
+    if (this._printer !== null && this._printer.writeStdio)
+        this._printer.writeStdio(stdio.channel, stdio.text, stdio.time);
+    else
+        process[stdio.channel].write(stdio.text);
+};
+
+//// SUPPORT FUNCTIONS ////////////////////////////////////////////////////////
+
+function directChildOutput(dest, childStdio, stdioStream, processStdio) {
+    if (CAPTURED_STDIO.indexOf(dest) >= 0) {
+        var memoryStream = new MemoryStream();
+        childStdio.pipe(memoryStream, { end: false });
+        return memoryStream;
+    }
+    else if (dest === 'mix' || dest === 'inline') // inline only sends writes
+        childStdio.pipe(processStdio, { end: false });
+    else if (dest === 'file')
+        childStdio.pipe(stdioStream, { end: false });
+    return null;
+}
+
+function makeCommandTap(startTime) {
+    return {
+        startTime: startTime, // millis at which the command started
+        started: false, // whether any TAP has been delivered
+        yamlIndent: null, // indentation of YAML being received, or null
+        afterTestPoint: false, // whether the last line ended a test point
+        skipping: false, // whether skipping an unselected root subtest
+        testPoints: 0, // number of root test points delivered
+        testCount: 0, // number of root subtests received
+        testNumber: null, // number of the root subtest being received
+        testName: null, // name of the root subtest, without its number
+        testStartTime: null, // millis at which the root subtest started
+        stdioStartTime: startTime, // millis from which to time inline stdio
+        bailPending: false, // whether to bail after the test point's YAML
+        bailed: false // whether the TAP bailed out, ending the command
+    };
+}
+
+function makeFileRun(fileIndex) {
+    return {
+        fileIndex: fileIndex,
+        firstOfFile: true,
+        attempt: 1,
+        selectedTests: null,
+        priorTestNumber: 0,
+        testCount: null,
+        listedTests: null,
+        child: null,
+        tapNormalizer: null,
+        commandTap: null,
+        chunks: [],
+        segment: [],
+        segmentNumber: null,
+        retryTests: [],
+        flakyTests: [],
+        slowThresholds: {},
+        exited: false,
+        discarded: false,
+        gotPulse: false,
+        heartbeatTimer: null,
+        sigtermTimer: null,
+        stdoutStream: null,
+        stderrStream: null
+    };
+}
+
+function makeResults() {
+    return {
+        files: 0,
+        rootSubtests: 0,
+        failedRootSubtests: 0,
+        failedTestNumbers: [],
+        failedRootAssertions: 0,
+        flakyTestNumbers: [],
+        timingRegressions: [],
+        coverage: null,
+        testCoverage: null,
+        bailed: false,
+        errors: ''
+    };
+}
+
+function makeTapTally(results) {
+    // count the failed assertions outside of root subtests, distinguishing
+    // them from the test points of root subtests, which follow children
+    var tapTally = new TapParser();
+    var closingSubtest = false;
+    tapTally.on('child', function () {
+        closingSubtest = true;
+    });
+    tapTally.on('assert', function (assert) {
+        if (!closingSubtest && !assert.ok && !assert.todo && !assert.skip)
+            ++results.failedRootAssertions;
+        closingSubtest = false;
+    });
+    return tapTally;
+}
+
+function markFlaky(text) {
+    // mark the name in the subtest comment and in the test result line
+    return text.replace(REGEX_ROOT_SUBTEST_NAME, function (match, name,
+            location, time) {
+        return name + FLAKY_MARK + (location || '') + (time || '');
+    });
+}
+
+function splitStdio(output) {
+    // split output at the runfile's marks into segments, each having
+    // properties testNumber (null outside root subtests) and output
+    var segments = [];
+    var parts = output.split(REGEX_STDIO_MARK); // alternates with numbers
+    for (var i = 0; i < parts.length; i += 2) {
+        var testNumber = (i > 0 && parts[i - 1] !== '' ?
+                parseInt(parts[i - 1]) : null);
+        var lastSegment = _.last(segments);
+        if (lastSegment && lastSegment.testNumber === testNumber)
+            lastSegment.output += parts[i];
+        else if (parts[i] !== '')
+            segments.push({ testNumber: testNumber, output: parts[i] });
+    }
+    return segments;
+}
+
+function toErrorMessage(message) {
+    return "*** "+ message +" ***\n";
+}
+
+function toSubsetRanges(testNumbers) {
+    var ranges = [];
+    var start = testNumbers[0];
+    for (var i = 1; i <= testNumbers.length; ++i) {
+        if (testNumbers[i] !== testNumbers[i - 1] + 1) {
+            var end = testNumbers[i - 1];
+            ranges.push(start === end ? String(start) : start +".."+ end);
+            start = testNumbers[i];
+        }
+    }
+    return ranges.join(',');
+}
+
+function writeChildOutput(processStdio, channel, filePath, output) {
+    if (output.length === 0)
+        return;
+    processStdio.write("---- BEGIN "+ channel +" ("+ filePath +") ----\n");
+    processStdio.write(output);
+    if (output[output.length - 1] !== "\n")
+        processStdio.write("\n"); // guarantee END starts on a new line
+    processStdio.write("---- end "+ channel +" ----\n");
+}
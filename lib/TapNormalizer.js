@@ -0,0 +1,217 @@
+/******************************************************************************
+TapNormalizer rewrites the TAP of a test file into the dialect that subtap's tap-parser understands, so that subtap works with both older and newer versions of tap. The TAP arrives in chunks of arbitrary length, and the normalizer returns complete lines, one line per string.
+
+The versions of tap differ in the TAP they output for subtests. tap-parser versions prior to 2.0.0 require each subtest to begin with a "# Subtest: <name>" comment at the indentation of the subtest's assertions, but tap 7.0.0 and later put this comment at the indentation of the parent test, and TAP 14 makes the comment optional, allowing it to be just "# Subtest" without a name. Some versions of tap also output buffered subtests, which put the subtest's test point before its assertions and enclose the assertions in braces, and TAP 14 allows subtests to begin with their own version line.
+
+The normalizer therefore puts the "# Subtest:" comment at the subtest's indentation, supplies the comment for subtests that lack it or lack a name in it by holding the subtest's lines until its test point provides the name, moves the test point of a buffered subtest to after its assertions, and drops version lines from subtests. Everything else passes through unchanged.
+
+subtap remains with a pre-2.0.0 tap-parser because tap-parser 2.0.0 interprets bail-outs issued during tear-down as belonging to anonymous tests, which would keep -bN from signaling "Bail out!" in --tap output.
+******************************************************************************/
+
+//// CONSTANTS ////////////////////////////////////////////////////////////////
+
+var SUBTEST_INDENT = '    ';
+var YAML_INDENT = '  '; // indentation of YAML relative to its test point
+var REGEX_SUBTEST_COMMENT = /^# Subtest(?::|$)/;
+var REGEX_UNNAMED_SUBTEST = /^# Subtest:?\s*$/;
+var REGEX_TEST_POINT = /^(?:not )?ok\b/;
+var REGEX_TEST_POINT_NAME =
+        /^(?:not )?ok\b(?: +\d+)?(?: *- ?)?(.*?)(?: # .*)?$/;
+var REGEX_VERSION = /^TAP version \d+$/i;
+
+//// STATE ////////////////////////////////////////////////////////////////////
+
+// _partialLine - text of an incomplete line awaiting the rest of the line
+// _subtests - stack of the currently open subtests, innermost last, each having the following properties:
+//   indent - indentation of the subtest's assertions
+//   heldLines - normalized lines, without newlines, held until the test point names the subtest, or null if the subtest is already named
+//   testPoint - test point of a buffered subtest, written when the closing brace arrives, or null if not buffered
+// _yamlStart - indentation at which YAML may begin, following a test point, or null if YAML can't begin
+// _yamlIndent - indentation of the YAML being received, or null if not receiving YAML
+
+//// CONSTRUCTION /////////////////////////////////////////////////////////////
+
+/**
+ * Construct a TapNormalizer for the TAP of a single test file
+ */
+
+function TapNormalizer() {
+    this._partialLine = '';
+    this._subtests = [];
+    this._yamlStart = null;
+    this._yamlIndent = null;
+}
+module.exports = TapNormalizer;
+
+//// PUBLIC METHODS ///////////////////////////////////////////////////////////
+
+/**
+ * Normalize a chunk of TAP text.
+ *
+ * @param text TAP text, which need not end at the end of a line
+ * @return array of the lines of normalized TAP now complete, each ending with a newline
+ */
+
+TapNormalizer.prototype.write = function (text) {
+    var lines = (this._partialLine + text).split("\n");
+    this._partialLine = lines.pop();
+    var normalizedLines = [];
+    lines.forEach(function (line) {
+        this._normalizeLine(line.replace(/\r$/, ''), normalizedLines);
+    }, this);
+    return normalizedLines;
+};
+
+/**
+ * Complete the TAP text, such as when a test file ends prematurely. Returns any incomplete line and any lines held for subtests that never received their test points.
+ *
+ * @return array of the remaining lines of TAP, each ending with a newline
+ */
+
+TapNormalizer.prototype.end = function () {
+    var normalizedLines = [];
+    if (this._partialLine !== '')
+        this._normalizeLine(this._partialLine, normalizedLines);
+    this._partialLine = '';
+    this._subtests.forEach(function (subtest) {
+        if (subtest.heldLines !== null) {
+            subtest.heldLines.forEach(function (line) {
+                normalizedLines.push(line +"\n");
+            });
+        }
+    });
+    this._subtests = [];
+    return normalizedLines;
+};
+
+//// RESTRICTED METHODS ///////////////////////////////////////////////////////
+
+TapNormalizer.prototype._closeSubtest = function (indent, body, output) {
+    // returns true if the line closed the innermost subtest
+    var subtest = this._subtests[this._subtests.length - 1];
+    var parentIndent = subtest.indent.slice(SUBTEST_INDENT.length);
+    if (indent !== parentIndent)
+        return false;
+    if (subtest.testPoint !== null) {
+        if (body !== '}')
+            return false;
+        this._subtests.pop();
+        this._emit(subtest.testPoint, output);
+        this._yamlStart = indent + YAML_INDENT;
+        return true;
+    }
+    if (!REGEX_TEST_POINT.test(body))
+        return false;
+    this._subtests.pop();
+    if (subtest.heldLines !== null) {
+        this._emit(subtest.indent +"# Subtest: "+ toSubtestName(body),
+                output);
+        subtest.heldLines.forEach(function (line) {
+            this._emit(line, output);
+        }, this);
+    }
+    this._emit(indent + body, output);
+    this._yamlStart = indent + YAML_INDENT;
+    return true;
+};
+
+TapNormalizer.prototype._emit = function (line, output) {
+    // lines go to the innermost subtest awaiting its name, if any
+    for (var i = this._subtests.length - 1; i >= 0; --i) {
+        if (this._subtests[i].heldLines !== null) {
+            this._subtests[i].heldLines.push(line);
+            return;
+        }
+    }
+    output.push(line +"\n");
+};
+
+TapNormalizer.prototype._normalizeLine = function (line, output) {
+    var indent = line.match(/^[ \t]*/)[0];
+    var body = line.slice(indent.length);
+
+    // pass YAML through, detecting its end by its terminator or by a
+    // line that isn't indented as YAML
+
+    var yamlStart = this._yamlStart;
+    this._yamlStart = null;
+    if (indent === yamlStart && body === '---') {
+        this._yamlIndent = indent;
+        this._emit(line, output);
+        return;
+    }
+    if (this._yamlIndent !== null) {
+        if (body === '' || indent.indexOf(this._yamlIndent) === 0) {
+            if (indent === this._yamlIndent && body === '...')
+                this._yamlIndent = null;
+            this._emit(line, output);
+            return;
+        }
+        this._yamlIndent = null;
+    }
+    if (body === '') {
+        this._emit(line, output);
+        return;
+    }
+
+    // close subtests on their test points or closing braces; other lines
+    // indented less than the subtest's assertions pass through
+
+    var subtests = this._subtests;
+    var level = (subtests.length > 0 ?
+            subtests[subtests.length - 1].indent : '');
+    if (indent.length < level.length) {
+        if (!this._closeSubtest(indent, body, output))
+            this._emit(line, output);
+        return;
+    }
+
+    // open subtests on their comments or buffered test points, or on the
+    // first indented line of a subtest that has neither
+
+    if (REGEX_VERSION.test(body)) {
+        if (indent === '' && subtests.length === 0)
+            this._emit(line, output);
+    }
+    else if (REGEX_SUBTEST_COMMENT.test(body)) {
+        var subtestIndent = (indent.length > level.length ? indent :
+                level + SUBTEST_INDENT);
+        if (REGEX_UNNAMED_SUBTEST.test(body)) // test point provides name
+            subtests.push(makeSubtest(subtestIndent, [], null));
+        else {
+            subtests.push(makeSubtest(subtestIndent, null, null));
+            this._emit(subtestIndent + body, output);
+        }
+    }
+    else if (indent === level && REGEX_TEST_POINT.test(body) &&
+            / \{$/.test(body))
+    {
+        var testPoint = indent + body.slice(0, -2);
+        subtests.push(makeSubtest(level + SUBTEST_INDENT, null, testPoint));
+        this._emit(level + SUBTEST_INDENT +"# Subtest: "+
+                toSubtestName(body.slice(0, -2)), output);
+    }
+    else if (indent.length > level.length) {
+        subtests.push(makeSubtest(level + SUBTEST_INDENT, [], null));
+        this._emit(line, output);
+    }
+    else {
+        this._emit(line, output);
+        if (REGEX_TEST_POINT.test(body))
+            this._yamlStart = indent + YAML_INDENT;
+    }
+};
+
+//// SUPPORT FUNCTIONS ////////////////////////////////////////////////////////
+
+function makeSubtest(indent, heldLines, testPoint) {
+    return {
+        indent: indent,
+        heldLines: heldLines,
+        testPoint: testPoint
+    };
+}
+
+function toSubtestName(testPoint) {
+    return testPoint.match(REGEX_TEST_POINT_NAME)[1];
+}
@@ -15,6 +15,7 @@ var TapParser = require('tap-parser');
 //// STATE ////////////////////////////////////////////////////////////////////
 
 // _aborting - whether aborting run and ignoring further test TAP output
+// _passed - whether the TAP passed, or null until the TAP completes
 
 //// CONSTRUCTION /////////////////////////////////////////////////////////////
 
@@ -27,8 +28,13 @@ var TapParser = require('tap-parser');
 function TapReceiver(streamOptions) {
     Writable.call(this, streamOptions);
     this._aborting = false;
+    this._passed = null;
     this._tapParser = new TapParser();
     this._setupParser(this._tapParser);
+    var self = this;
+    this._tapParser.on('complete', function (results) {
+        self._passed = results.ok;
+    });
 }
 util.inherits(TapReceiver, Writable);
 module.exports = TapReceiver;
@@ -49,8 +55,27 @@ TapReceiver.prototype.end = function (chunk, encoding, done) {
     this._tapParser.end(); // close parser resources
 };
 
+/**
+ * Return whether the TAP passed, according to the results that tap-parser reports on completing the TAP. The TAP fails if it has a failing assertion or subtest, bails out, or doesn't match its plan.
+ *
+ * @return true if the TAP passed, false if it failed, or null if the TAP has not yet completed
+ */
+
+TapReceiver.prototype.passed = function () {
+    return this._passed;
+};
+
 //// RESTRICTED METHODS ///////////////////////////////////////////////////////
 
+TapReceiver.prototype._isResultPending = function () {
+    // tap-parser holds each result until the next line, in case YAML follows
+    for (var parser = this._tapParser; parser; parser = parser.child) {
+        if (parser.current)
+            return true;
+    }
+    return false;
+};
+
 TapReceiver.prototype._setupParser = function (parser) {
     parser.on('assert', this.assertHandler.bind(this));
     parser.on('bailout', this.bailoutHandler.bind(this));
@@ -59,6 +84,7 @@ TapReceiver.prototype._setupParser = function (parser) {
     parser.on('complete', this.completeHandler.bind(this));
     parser.on('extra', this.extraHandler.bind(this));
     parser.on('plan', this.planHandler.bind(this));
+    parser.on('pragma', this.pragmaHandler.bind(this));
     parser.on('version', this.versionHandler.bind(this));
 };
 
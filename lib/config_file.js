@@ -0,0 +1,157 @@
+/******************************************************************************
+Methods for reading the project configuration, which provides default settings for subtap. The configuration is either the .subtaprc file (YAML or JSON) or the "subtap" property of package.json, both found in the project directory.
+******************************************************************************/
+
+var fs = require('fs');
+var path = require('path');
+var yaml = require('js-yaml');
+var _ = require('lodash');
+
+//// CONSTANTS ////////////////////////////////////////////////////////////////
+
+var RC_FILE = '.subtaprc'; // name of the subtap configuration file
+var PACKAGE_FILE = 'package.json'; // name of the npm package file
+var PACKAGE_KEY = 'subtap'; // property of package.json for configuration
+
+// Each configuration key maps to the type of value it takes:
+//   'string' - a string
+//   'strings' - a string or an array of strings, read as an array
+//   'integer' - an integer >= 0
+//   'styles' - a map of style names to strings of ANSI escape codes
+
+var KEY_TYPES = {
+    cmd: 'strings',
+    colors: 'styles',
+    files: 'strings',
+    format: 'string',
+    narg: 'strings',
+    stderr: 'string',
+    stdout: 'string',
+    targ: 'strings',
+    timeout: 'integer',
+    unstack: 'strings'
+};
+
+/**
+ * Read the project configuration, if there is one.
+ *
+ * @param projectDir Directory of the project, containing the configuration
+ * @return an object having the following properties, or null if the project has no configuration:
+ *  - source: description of where the configuration was found, for messages
+ *  - settings: object mapping configuration keys to their values, with 'strings' values normalized to arrays
+ * @throws Error with a message naming the source and offending key, if the configuration is not valid
+ */
+
+exports.readConfig = function (projectDir) {
+    var config = readRcFile(projectDir);
+    if (config === null)
+        config = readPackageFile(projectDir);
+    if (config === null)
+        return null;
+    if (!_.isPlainObject(config.settings))
+        throw new Error(config.source +" must map keys to values");
+    Object.keys(config.settings).forEach(function (key) {
+        config.settings[key] =
+                validateSetting(config.source, key, config.settings[key]);
+    });
+    return config;
+};
+
+/**
+ * Return a message for a problem with the value of a configuration key.
+ *
+ * @param source Source of the configuration, as returned by readConfig()
+ * @param key Configuration key having the problem
+ * @param problem Description of the problem, predicated on the key
+ * @return a message naming the source of the configuration and the key
+ */
+
+exports.toKeyMessage = function (source, key, problem) {
+    return source +": key '"+ key +"' "+ problem;
+};
+
+//// SUPPORT FUNCTIONS ////////////////////////////////////////////////////////
+
+function readPackageFile(projectDir) {
+    var text = readProjectFile(projectDir, PACKAGE_FILE);
+    if (text === null)
+        return null;
+    var packageInfo;
+    try {
+        packageInfo = JSON.parse(text);
+    }
+    catch (err) {
+        throw new Error(PACKAGE_FILE +": "+ err.message);
+    }
+    if (!_.isPlainObject(packageInfo) ||
+            _.isUndefined(packageInfo[PACKAGE_KEY]))
+        return null;
+    return {
+        source: PACKAGE_FILE +" property '"+ PACKAGE_KEY +"'",
+        settings: packageInfo[PACKAGE_KEY]
+    };
+}
+
+function readProjectFile(projectDir, fileName) {
+    try {
+        return fs.readFileSync(path.resolve(projectDir, fileName), 'utf8');
+    }
+    catch (err) {
+        if (err.code === 'ENOENT')
+            return null;
+        throw new Error("failed to read "+ fileName +": "+ err.message);
+    }
+}
+
+function readRcFile(projectDir) {
+    var text = readProjectFile(projectDir, RC_FILE);
+    if (text === null)
+        return null;
+    var settings;
+    try {
+        settings = yaml.safeLoad(text); // JSON is also YAML
+    }
+    catch (err) {
+        throw new Error(RC_FILE +": "+ err.message);
+    }
+    return {
+        source: RC_FILE,
+        settings: (_.isUndefined(settings) || settings === null ? {} :
+                settings)
+    };
+}
+
+function validateSetting(source, key, value) {
+    if (!_.has(KEY_TYPES, key)) {
+        throw new Error(source +": unrecognized key '"+ key +"' (expecting "+
+                Object.keys(KEY_TYPES).join(", ") +")");
+    }
+    switch (KEY_TYPES[key]) {
+        case 'string':
+            if (!_.isString(value)) {
+                throw new Error(exports.toKeyMessage(source, key,
+                        "must be a string"));
+            }
+            return value;
+        case 'strings':
+            if (_.isString(value))
+                return [ value ];
+            if (!_.isArray(value) || !value.every(_.isString)) {
+                throw new Error(exports.toKeyMessage(source, key,
+                        "must be a string or an array of strings"));
+            }
+            return value;
+        case 'integer':
+            if (!_.isInteger(value) || value < 0) {
+                throw new Error(exports.toKeyMessage(source, key,
+                        "must be an integer >= 0"));
+            }
+            return value;
+        case 'styles':
+            if (!_.isPlainObject(value) || !_.every(value, _.isString)) {
+                throw new Error(exports.toKeyMessage(source, key,
+                        "must map style names to strings"));
+            }
+            return value;
+    }
+}
@@ -0,0 +1,277 @@
+/******************************************************************************
+Methods for tallying the code coverage that V8 reports to the NODE_V8_COVERAGE directory. V8 reports execution counts for ranges of characters; these methods attribute to each line of code the greatest of the counts of the innermost ranges containing its code characters, so that a line counts as executed if any of its code executed, and they merge the counts of multiple reports.
+******************************************************************************/
+
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var url = require('url');
+var _ = require('lodash');
+
+//// CONSTANTS ////////////////////////////////////////////////////////////////
+
+// lines that are blank, comments, or only close brackets aren't code; V8
+// often reports closing brackets as unexecuted, even in executed functions
+var REGEX_NON_CODE_LINE = /^\s*(\/\/.*|\/\*.*|\*.*|[\])};,]*)$/;
+var FILE_URL_PREFIX = 'file://';
+var REGEX_ROOT_COVERAGE_FILE = /^root-(\d+)-/; // named by the runfile
+
+/**
+ * Make a temporary directory to receive the V8 coverage reports of a run, which NODE_V8_COVERAGE names to the test files.
+ *
+ * @return the absolute path of the new directory
+ */
+
+exports.makeCoverageDir = function () {
+    return fs.mkdtempSync(path.join(os.tmpdir(), 'subtap-coverage-'));
+};
+
+/**
+ * Tally the coverage of a run from the V8 coverage reports in a coverage directory, removing the reports and the directory. The runfile names the reports of the coverage of individual root subtests.
+ *
+ * @param coverageDir Directory of the reports (see makeCoverageDir())
+ * @param isIncluded Function(filePath) returning whether to tally the coverage of the file at the given absolute path
+ * @return an object having the following properties:
+ *  - coverage: coverage object for the entire run (see mergeCoverage())
+ *  - testCoverages: object mapping the numbers of root subtests having their own reports to their coverage objects
+ */
+
+exports.collectCoverage = function (coverageDir, isIncluded) {
+    var runCoverage = {};
+    var testCoverages = {};
+    fs.readdirSync(coverageDir).forEach(function (fileName) {
+        var reportPath = path.resolve(coverageDir, fileName);
+        var report = JSON.parse(fs.readFileSync(reportPath, 'utf8'));
+        fs.unlinkSync(reportPath);
+        exports.mergeCoverage(runCoverage, report, isIncluded);
+        var matches = fileName.match(REGEX_ROOT_COVERAGE_FILE);
+        if (matches !== null) {
+            var testNumber = parseInt(matches[1]);
+            testCoverages[testNumber] = exports.mergeCoverage(
+                    testCoverages[testNumber] || {}, report, isIncluded);
+        }
+    });
+    fs.rmdirSync(coverageDir);
+    return {
+        coverage: runCoverage,
+        testCoverages: testCoverages
+    };
+};
+
+/**
+ * Merge the coverage of a V8 coverage report into the accumulated coverage.
+ *
+ * @param coverage Object mapping absolute paths of source files to their accumulated coverage, initially {}. This object is opaque, except that its keys are the paths.
+ * @param report Object parsed from the JSON of a V8 coverage report
+ * @param isIncluded Function(filePath) returning whether to tally the coverage of the file at the given absolute path
+ * @return coverage, with the report merged in
+ */
+
+exports.mergeCoverage = function (coverage, report, isIncluded) {
+    report.result.forEach(function (script) {
+        if (script.url.indexOf(FILE_URL_PREFIX) !== 0)
+            return; // node internals
+        var filePath = url.fileURLToPath(script.url);
+        if (!isIncluded(filePath))
+            return;
+        var fileCoverage = coverage[filePath];
+        if (!fileCoverage) {
+            fileCoverage = makeFileCoverage(filePath);
+            if (fileCoverage === null)
+                return; // source file is gone
+            coverage[filePath] = fileCoverage;
+        }
+        mergeScript(fileCoverage, script);
+    });
+    return coverage;
+};
+
+/**
+ * Return the line numbers of the lines of code that executed.
+ *
+ * @param fileCoverage Coverage of a file, a value of the coverage object
+ * @return array of 1-based line numbers in ascending order
+ */
+
+exports.getExecutedLines = function (fileCoverage) {
+    return toLineNumbers(fileCoverage.lineCounts, function (count) {
+        return count > 0;
+    });
+};
+
+/**
+ * Summarize the coverage of a file.
+ *
+ * @param fileCoverage Coverage of a file, a value of the coverage object
+ * @return an object having the following properties:
+ *  - lines: object having properties covered and total, counting lines of code
+ *  - functions: object having properties covered and total, counting functions
+ *  - uncoveredLines: array of the line numbers of lines that didn't execute
+ */
+
+exports.summarizeFile = function (fileCoverage) {
+    var functionCounts = _.values(fileCoverage.functionCounts);
+    var uncoveredLines = toLineNumbers(fileCoverage.lineCounts,
+            function (count) {
+        return count === 0;
+    });
+    var totalLines = fileCoverage.lineCounts.filter(function (count) {
+        return count !== null;
+    }).length;
+    return {
+        lines: {
+            covered: totalLines - uncoveredLines.length,
+            total: totalLines
+        },
+        functions: {
+            covered: functionCounts.filter(function (count) {
+                return count > 0;
+            }).length,
+            total: functionCounts.length
+        },
+        uncoveredLines: uncoveredLines
+    };
+};
+
+/**
+ * Summarize the coverage of each file of a coverage object.
+ *
+ * @param coverage Coverage object (see mergeCoverage())
+ * @param projectDir Directory relative to which to express the file paths
+ * @return array of the summaries of the files, sorted by path, each having a file property giving the relative path along with the properties that summarizeFile() returns
+ */
+
+exports.summarizeCoverage = function (coverage, projectDir) {
+    return _.sortBy(Object.keys(coverage)).map(function (filePath) {
+        return _.assign({ file: path.relative(projectDir, filePath) },
+                exports.summarizeFile(coverage[filePath]));
+    });
+};
+
+/**
+ * List the lines of code that executed in each file of a coverage object.
+ *
+ * @param coverage Coverage object (see mergeCoverage())
+ * @param projectDir Directory relative to which to express the file paths
+ * @return array of objects sorted by path, each having properties file (the relative path) and lines (as getExecutedLines() returns), omitting files of which no lines executed
+ */
+
+exports.listExecutedLines = function (coverage, projectDir) {
+    return _.sortBy(Object.keys(coverage)).map(function (filePath) {
+        return {
+            file: path.relative(projectDir, filePath),
+            lines: exports.getExecutedLines(coverage[filePath])
+        };
+    }).filter(function (fileLines) {
+        return fileLines.lines.length > 0;
+    });
+};
+
+/**
+ * Express line numbers compactly as ranges.
+ *
+ * @param lineNumbers Array of line numbers in ascending order
+ * @return a string of comma-delimited line numbers and ranges "N-M"
+ */
+
+exports.toLineRanges = function (lineNumbers) {
+    var ranges = [];
+    var start = null;
+    lineNumbers.forEach(function (lineNumber, i) {
+        if (start === null)
+            start = lineNumber;
+        if (lineNumbers[i + 1] !== lineNumber + 1) {
+            ranges.push(start === lineNumber ? String(start) :
+                    start +'-'+ lineNumber);
+            start = null;
+        }
+    });
+    return ranges.join(', ');
+};
+
+//// SUPPORT FUNCTIONS ////////////////////////////////////////////////////////
+
+function getInnermostCount(ranges, offset) {
+    // the last of the sorted ranges containing the offset is innermost
+    var count = 0;
+    for (var i = 0; i < ranges.length; ++i) {
+        if (ranges[i].startOffset > offset)
+            break;
+        if (ranges[i].endOffset > offset)
+            count = ranges[i].count;
+    }
+    return count;
+}
+
+function makeFileCoverage(filePath) {
+    var source;
+    try {
+        source = fs.readFileSync(filePath, 'utf8');
+    }
+    catch (err) {
+        return null;
+    }
+    // record the offsets of the first character of each line of code and
+    // of the character following its last non-space character
+    var codeSpans = [];
+    var offset = 0;
+    source.split("\n").forEach(function (line) {
+        if (REGEX_NON_CODE_LINE.test(line))
+            codeSpans.push(null);
+        else {
+            codeSpans.push({
+                start: offset + line.search(/\S/),
+                end: offset + _.trimEnd(line).length
+            });
+        }
+        offset += line.length + 1;
+    });
+    return {
+        codeSpans: codeSpans,
+        lineCounts: codeSpans.map(function (codeSpan) {
+            return (codeSpan === null ? null : 0);
+        }),
+        functionCounts: {} // maps offsets of functions to their counts
+    };
+}
+
+function mergeScript(fileCoverage, script) {
+    // sort ranges so that those containing others precede them
+    var ranges = _.sortBy(_.flatten(script.functions.map(function (func) {
+        return func.ranges;
+    })), [ 'startOffset', function (range) {
+        return -range.endOffset;
+    }]);
+    // the innermost range only changes where a range starts or ends, so
+    // only the start of a line and these boundaries need checking
+    var boundaries = _.sortedUniq(_.sortBy(_.flatten(ranges.map(
+            function (range) {
+        return [ range.startOffset, range.endOffset ];
+    }))));
+    fileCoverage.codeSpans.forEach(function (codeSpan, i) {
+        if (codeSpan === null)
+            return;
+        var count = getInnermostCount(ranges, codeSpan.start);
+        var j = _.sortedLastIndex(boundaries, codeSpan.start);
+        for (; j < boundaries.length && boundaries[j] < codeSpan.end; ++j)
+            count = Math.max(count, getInnermostCount(ranges, boundaries[j]));
+        fileCoverage.lineCounts[i] += count;
+    });
+    script.functions.forEach(function (func) {
+        var range = func.ranges[0];
+        if (range.startOffset === 0 && func.functionName === '')
+            return; // the module itself
+        var counts = fileCoverage.functionCounts;
+        counts[range.startOffset] =
+                (counts[range.startOffset] || 0) + range.count;
+    });
+}
+
+function toLineNumbers(lineCounts, predicate) {
+    var lineNumbers = [];
+    lineCounts.forEach(function (count, i) {
+        if (count !== null && predicate(count))
+            lineNumbers.push(i + 1);
+    });
+    return lineNumbers;
+}
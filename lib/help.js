@@ -37,9 +37,10 @@ group.push(['--json', "Output 'tap-parser' module events in a JSON array."]);
 options(group, true);
 blankLine();
 
-line("Subtap also provides the following options. The -bN, -r, --debug-brk, and --stdout options most distinguish subtap from other 'tap' test runners. They allow the user to quickly isolate and debug problematic root subtests, and they clearly separate the stderr/stdout of test files from test runner output.");
+line("Subtap also provides the following options. The -bN, -r, --inspect-brk, and --stdout options most distinguish subtap from other 'tap' test runners. They allow the user to quickly isolate and debug problematic root subtests, and they clearly separate the stderr/stdout of test files from test runner output.");
 blankLine();
 group = [];
+group.push(['--answers=<file>', "Answer the prompts of tests that use subtap/prompt from the YAML file <file> instead of prompting the user. The file contains either a list of answers, given to prompts in the order the prompts occur, or a map of prompt messages to answers. A prompt that the file doesn't answer fails the test instead of waiting for input, as does any prompt when stdin is not a terminal."]);
 group.push(['-b --bail', "Bail out of testing on the first assertion to fail. (Same as the -b option in the 'tap' test runner.)"]);
 group.push(['-bN --bail=N', "Bail out of testing after the Nth failing root subtest."]);
 group.push(['-cN --color=N', "Render output in color mode N. Addding 10 canonicalizes output for saving to text files. (default -c2)\n\n"+
@@ -48,13 +49,23 @@ group.push(['-cN --color=N', "Render output in color mode N. Addding 10 canonica
 "  2: multicolor, including emphasis"
 ]);
 group.push(['--catch', "Catch and report subtest exceptions as failed assertions. Root test exceptions always terminate the run because they interrupt the numbering of root subtests."]);
+group.push(['--cmd=<c>', "Also run the shell command <c> as a source of TAP, parsing its stdout as the output of a test file. Root subtests named by '# Subtest:' comments are numbered along with those of the test files, so -r, --grep, and -bN apply to them, and the command's stdout and stderr are handled as for test files. A command that exits with a non-zero code or on a signal fails. Commands run one at a time after the test files, even with -jN, and aren't retried. May be repeated."]);
+group.push(['--coverage', "After the run, summarize the line and function coverage of the modules that the test files load, excluding node_modules and the test files themselves. When -r, --grep, --grep-file, or --failed selects root subtests, also list the lines that each selected root subtest executed. Uses NODE_V8_COVERAGE."]);
 group.push(['-d --diff', "Compare found and wanted values by interleaving diff lines. (Values otherwise display consecutively.)"]);
-group.push(['--debug[=<p>]', "Receive debugger client on port <p> (default 5858), breaking only at breakpoints in test files. Sets -t0."]);
-group.push(['--debug-brk[=<p>]', "Receive debugger client on port <p> (default 5858) with breakpoints at start of each root subtest. Sets -t0."]);
-group.push(['--debug-port=<p>', "Set default debug port to <p> instead of 5858. Useful in SUBTAP_DEFAULT_ARGS to shorten --debug and --debug-brk."]);
+group.push(['--debug-port=<p>', "Set default inspector port to <p> instead of 9229. Useful in SUBTAP_DEFAULT_ARGS to shorten --inspect and --inspect-brk."]);
+group.push(['--durations', "Show the time each root subtest took next to its name in the --tally and --all output formats."]);
 group.push(['-f --full-functions', "When found/wanted values reference functions, show the function source code in addition to the signature."]);
+group.push(['--failed', "Only run the root subtests that failed on the last run, as recorded in the .subtap directory of the current working directory. A run that selects root subtests, as with -r, only updates the record of the root subtests it runs. Warns when the test files have changed since the last run, because the root subtests may have been renumbered."]);
+group.push(['--grep=<re>', "Only run the root subtests whose names match the regular expression <re>. Root subtests keep their numbers, so --grep combines with -r and --grep-file."]);
+group.push(['--grep-file=<re>', "Only run the root subtests defined in files whose paths match the regular expression <re>. Paths are relative to the current working directory."]);
 group.push(['-h --help', "Show this help information."]);
+group.push(['--inspect[=<h:p>]', "Receive inspector client (e.g. Chrome DevTools) at host <h> and port <p> (default 127.0.0.1:9229), breaking only at breakpoints in test files. Reports the ws:// URL of each test file. <h:> is optional. Sets -t0. (--debug is an alias.)"]);
+group.push(['--inspect-brk[=<h:p>]', "Receive inspector client at host <h> and port <p> (default 127.0.0.1:9229), waiting for the client to attach to each test file and breaking at the start of each root subtest. Sets -t0. (--debug-brk is an alias.)"]);
+group.push(['--interactive', "When a run ends with failed root subtests, keep subtap open with a menu for rerunning a failed root subtest by number or all of them, for switching among the --tally, --fail, and --all output formats, and for turning --diff and --inspect-brk on or off for the reruns. Can't be combined with --list, --watch, --json, or --tap."]);
+group.push(['--isolate', "Run each selected root subtest in its own child process, so that root subtests don't share module state. Requires a preliminary pass that counts the root subtests of each test file. Labels the stdout and stderr of each root subtest with its number."]);
+group.push(['-jN --jobs=N', "Run up to N test files concurrently. Root subtests keep the numbers they would have in a sequential run, and the output remains in file order. Can't be combined with -bN, --inspect, or --inspect-brk. (default -j1)"]);
 group.push(['--line-numbers[=N]', "Show line numbers for all found/wanted strings having N+ lines. --line-numbers sets N=2. 0 disables. (default 0)"]);
+group.push(['--list', "List the root subtests without running them, showing the number, name, and file:line of each. Lists only the root subtests that -r, --grep, --grep-file, and --failed select. Outputs a JSON array instead with --json."]);
 group.push(['--mark=<f>[:<g>]', "Mark differences between found & wanted values according to flags. --mark=<f> sets flags <f> for all difference comparisons. --mark=<f>:<g> sets flags <f> for comparing consecutive values and flags <g> for comparing adjacent diff lines (see -d, --diff). (default --mark=BCF:CR)\n\n"+
 "  B: bold (differing text shown in bold)\n"+
 "  C: color (differing text shown in color)\n"+
@@ -63,34 +74,64 @@ group.push(['--mark=<f>[:<g>]', "Mark differences between found & wanted values
 "      to first line difference when using --diff)\n"+
 "  _: turn off flags (e.g. --mark=BR:_)"]);
 group.push(['--narg=<arg>', "Pass <arg> to the node executable that runs the test file. <arg> is NOT added to the file's process.argv. Use --narg repeatedly to pass multiple arguments. See --targ."]);
+group.push(['--no-prompt', "Tell tests that prompting isn't supported, so that subtap/prompt gives each prompt its default answer without asking. Can't be combined with --answers."]);
 group.push(['-r<m> --run=<m>', "Only run the tests that <m> lists. <m> is a subtest number (e.g. -r10) or a range of subtest numbers (e.g. -r10..14) or a comma-delimited list of subtest numbers and ranges (e.g. -r7,10..14,16). Spaces are not allowed."]);
+group.push(['--render[=<f>]', "Instead of running test files, pretty-print the TAP in file <f>, or in stdin if <f> is '-' or not given, using the selected output format. The TAP may come from any producer, such as a saved log, tape, or a test harness for another language, and need not name subtests as subtap does. Assertions outside of subtests that follow a comment, as tape writes them, form a root subtest named by the comment. Can't be combined with file patterns, --cmd, --list, --watch, --interactive, or --tap."]);
+group.push(['--retry=N', "Rerun a failed root subtest up to N more times, each time in a new child process, until it passes. A root subtest that passes only on a retry is marked '(flaky)' and listed at the end of the report. -bN only counts root subtests that fail their last retry. (default --retry=0)"]);
+group.push(['--shuffle[=<s>]', "Run the root subtests of each test file in an order shuffled by the integer seed <s>, choosing a random seed if <s> is not given. Root subtests keep their numbers, and the report ends with the seed so that the order can be replayed. With --tap or --json, the seed is instead in a TAP comment following the version line. The seed must follow an '='."]);
+group.push(['--shuffle-files', "Also shuffle the order of the test files, using the seed of --shuffle. Implies --shuffle."]);
+group.push(['--slow=N', "Highlight root subtests that take longer than N milliseconds, showing their durations in the 'slow' style in the --tally and --all output formats. A root subtest can set its own threshold with a 'slow' property in the options it passes to tap.test(), where 0 disables the highlighting. (default --slow=0, which disables)"]);
+group.push(['--slowest=N', "After the closing summary, list the N slowest root subtests with their numbers and durations. 0 disables. (default --slowest=0)"]);
 group.push(['--stderr=<w>', "Write each test file's stderr to <w>. See --stdout, replacing 'stdout' with 'stderr'. (default --stderr=each)"]);
-group.push(['--stdout=<w>', "Write each test file's stdout to <w>, which is one of the following destinations: (default --stdout=end)\n\n"+
+group.push(['--stdout=<w>', "Write each test file's stdout to <w>, which is one of the following destinations. 'each', 'end', and 'fail' label the output of each root subtest with its number. (default --stdout=end)\n\n"+
 "  <file>: the file at path <file>, which must begin with\n"+
 "           '/' or '.' (e.g. --stdout=./output.txt)\n"+
 "  mix   : mixed in subtap's stdout; helps locate hanging\n"+
 "           code (use with -c10 to prevent overwriting)\n"+
 "  each  : in subtap's stdout after each test runs\n"+
 "  end   : in subtap's stdout after all tests have run\n"+
+"  fail  : in subtap's stdout after each test runs, but\n"+
+"           only that of root subtests that fail\n"+
+"  inline: in the report as written, indented under the\n"+
+"           running test and timestamped from its start;\n"+
+"           same as mix for --json and --tap\n"+
 "  none  : the bit bucket; discard the file's stdout\n"]);
+group.push(['--strict', "End the run with an error on encountering TAP that subtap can't interpret. Subtap otherwise reports a warning in place of the TAP, recovers, and continues without affecting the exit code. Has no effect on the --json and --tap output formats."]);
 group.push(['-tN --timeout=N', "Timeout after N milliseconds of inactivity. To disable the timeout, set N to 0. (default -t3000, or 3 seconds)"]);
 group.push(['--tab=N', "Indent each nested level by N spaces. (default --tab=2)"]);
 group.push(['--tap-limit=L', "Character length L to allot for the TAP output of a single test assertion, in KB. (default --tap-limit=32)"]);
 group.push(['--targ=<arg>', "Pass <arg> to the test file(s) via process.argv. Use --targ repeatedly to pass multiple arguments. See --narg."]);
+group.push(['--timing-regressions', "After the closing summary, list the root subtests that took notably longer than usual. Subtap records the durations of root subtests by file and name in the .subtap directory of the current working directory, and \"usual\" is the median of a root subtest's last 10 durations, once there are at least 3. The recorded durations also provide the ETA of the --tally output format."]);
+group.push(['--watch', "Keep running, watching the test files and the local modules they load. On each change, rerun the affected files, applying any -r selection and retaining root subtest numbers."]);
 group.push(['--wrap=M:N', "Wrap output at column N, but don't wrap found/wanted values at less than M chars wide. (default --wrap=20:80)"]);
 options(group, true);
 blankLine();
 
+line("Subtap reads default settings from the .subtaprc file (YAML or JSON) in the current working directory, or if there is no such file, from the \"subtap\" property of package.json. The command line and SUBTAP_DEFAULT_ARGS override these settings, which are the following:");
+blankLine();
+wrap("  files: file pattern or array of file patterns\n"+
+"  format: output format (all, fail, json, tally, or tap)\n"+
+"  colors: map of style names to ANSI escape codes\n"+
+"          (see SUBTAP_COLOR_FILE for the style names)\n"+
+"  unstack: path or array of paths to truncate from\n"+
+"           stack traces (see SUBTAP_UNSTACK_PATHS)\n"+
+"  narg: argument or array of arguments (see --narg)\n"+
+"  targ: argument or array of arguments (see --targ)\n"+
+"  timeout: heartbeat timeout in millis (see -t)\n"+
+"  stdout: destination of test stdout (see --stdout)\n"+
+"  stderr: destination of test stderr (see --stderr)\n");
+blankLine();
+
 line("Subtap recognizes the following environment variables:");
 blankLine();
 wrap("  SUBTAP_DEFAULT_ARGS\n"+
 "    Space-delimited default command line arguments. These arguments apply except where overridden on the command line. The command line can turn off a boolean switch (e.g. -d or --diff) by suffixing a dash (e.g. -d-) or prefixing 'no-' (e.g. --no-diff).\n");
 blankLine();
 wrap("  SUBTAP_UNSTACK_PATHS\n"+
-"    Colon-delimited list of paths to libraries (or frameworks) whose stack trace should be stripped from the output of failed test assertions. Each path is an integral series of path components. Stack trace truncates at the first line containing one of these series of path components.\n");
+"    Colon-delimited list of paths to libraries (or frameworks) whose stack trace should be stripped from the output of failed test assertions. Each path is an integral series of path components. Stack trace truncates at the first line containing one of these series of path components. Adds to the paths of the 'unstack' setting.\n");
 blankLine();
 wrap("  SUBTAP_COLOR_FILE\n"+
-"    Path to a YAML file specifying color overrides. The path may be relative to the current working directory. The file associates the following style names with ANSI escape code strings: (e.g. To make primary labels orange, write 'label1: \"\\e[38;5;166m\"')\n\n"+
+"    Path to a YAML file specifying color overrides. The path may be relative to the current working directory. The file overrides the 'colors' setting style-by-style, but the 'colors' setting is preferred. The file associates the following style names with ANSI escape code strings: (e.g. To make primary labels orange, write 'label1: \"\\e[38;5;166m\"')\n\n"+
 "      pass - style for name of a passing assertion or subtest\n"+
 "      root-fail - style for name of a failed root subtest\n"+
 "      fail - style for other lines reporting errors or failures\n"+
@@ -100,7 +141,11 @@ wrap("  SUBTAP_COLOR_FILE\n"+
 "      bad - style for marking found text that was not wanted\n"+
 "      good - style for marking wanted text that was not found\n"+
 "      label1 - style for a primary YAML label\n"+
-"      label2 - style for a secondary YAML label\n");
+"      label2 - style for a secondary YAML label\n"+
+"      slow - style for the duration of a slow root subtest\n");
+blankLine();
+
+line("Subtap exits with code 0 when the tests it runs pass, including those of --cmd commands, and with code 1 when any root subtest fails, when any assertion outside of the root subtests fails, when the TAP bails out, or when subtap reports an error. With --interactive, the exit code reflects the root subtests that still fail on leaving the menu. With --render, subtap exits with code 1 when the TAP fails, having a failed assertion or subtest, bailing out, or not matching its plan. TODO and SKIP directives excuse failures, and warnings about TAP that subtap can't interpret don't affect the exit code.");
 blankLine();
 
 //// SUPPORT FUNCTIONS ////////////////////////////////////////////////////////
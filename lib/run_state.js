@@ -0,0 +1,204 @@
+/******************************************************************************
+Methods for persisting the state of a test run in a state directory, normally the .subtap directory of the project, so that later runs can make use of the results of prior runs, and for interpreting the recorded state. The state records which root subtests failed on the last run and the durations that each root subtest took on recent runs.
+******************************************************************************/
+
+var fs = require('fs');
+var path = require('path');
+var crypto = require('crypto');
+var _ = require('lodash');
+
+//// CONSTANTS ////////////////////////////////////////////////////////////////
+
+var LAST_RUN_FILE = 'last-run.json'; // name of file describing last run
+var TIMINGS_FILE = 'timings.json'; // name of file of root subtest durations
+var TIMING_HISTORY_LENGTH = 10; // durations kept for each root subtest
+var MIN_BASELINE_SAMPLES = 3; // durations needed to detect a regression
+var REGRESSION_RATIO = 1.5; // ratio of duration to baseline that regresses
+var MIN_REGRESSION_MILLIS = 50; // smallest increase that is a regression
+
+//// PUBLIC CONSTANTS /////////////////////////////////////////////////////////
+
+exports.DEFAULT_STATE_DIR = '.subtap'; // relative to the project directory
+
+//// PUBLIC FUNCTIONS /////////////////////////////////////////////////////////
+
+/**
+ * Add the durations of a run's root subtests to the history of each root subtest, keeping the most recent TIMING_HISTORY_LENGTH durations of each.
+ *
+ * @param timings Object of durations, as returned by readTimings(), which receives the durations
+ * @param durations Array of the durations of the run's root subtests, each having properties file (path relative to the project directory), name (without number), number, and duration (millis)
+ * @return timings
+ */
+
+exports.addDurations = function (timings, durations) {
+    durations.forEach(function (duration) {
+        if (!timings[duration.file])
+            timings[duration.file] = {};
+        var timing = timings[duration.file][duration.name];
+        if (!timing) {
+            timing = { number: 0, durations: [] };
+            timings[duration.file][duration.name] = timing;
+        }
+        timing.number = duration.number;
+        timing.durations.push(duration.duration);
+        if (timing.durations.length > TIMING_HISTORY_LENGTH)
+            timing.durations.shift();
+    });
+    return timings;
+};
+
+/**
+ * Return a fingerprint identifying a list of test files and commands. Root subtest numbers are only meaningful across runs of the same list of test files and commands.
+ *
+ * @param projectDir Directory relative to which to express the file paths
+ * @param filePaths Array of absolute paths to the test files, in run order
+ * @param commands Array of the commands run as tests after the test files (defaults to [])
+ * @return a string that changes when the list of files or commands changes
+ */
+
+exports.fingerprintFiles = function (projectDir, filePaths, commands) {
+    var hash = crypto.createHash('md5');
+    filePaths.forEach(function (filePath) {
+        hash.update(path.relative(projectDir, filePath) +"\n");
+    });
+    (commands || []).forEach(function (command) {
+        hash.update("$ "+ command +"\n"); // can't be a relative path
+    });
+    return hash.digest('hex');
+};
+
+/**
+ * Return the duration that a root subtest usually takes, against which to detect a regression in its timing, once it has enough recorded durations.
+ *
+ * @param timings Object of durations, as returned by readTimings()
+ * @param file Path of the test file, relative to the project directory
+ * @param name Name of the root subtest, without its number
+ * @return the median of the recorded durations in millis, or null if there are too few to compare against
+ */
+
+exports.getBaseline = function (timings, file, name) {
+    var timing = (timings[file] ? timings[file][name] : null);
+    if (!timing || timing.durations.length < MIN_BASELINE_SAMPLES)
+        return null;
+    return exports.getTypicalDuration(timing);
+};
+
+/**
+ * Return the duration that a root subtest typically takes.
+ *
+ * @param timing History of a root subtest, a value of the objects that timings maps test files to
+ * @return the median of the recorded durations in millis
+ */
+
+exports.getTypicalDuration = function (timing) {
+    var sorted = _.sortBy(timing.durations);
+    var middle = Math.floor(sorted.length / 2);
+    if (sorted.length % 2 === 1)
+        return sorted[middle];
+    return (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+/**
+ * Return whether a root subtest took notably longer than it usually does.
+ *
+ * @param duration Millis the root subtest took
+ * @param baseline Millis the root subtest usually takes (see getBaseline())
+ * @return true if the duration is a regression from the baseline
+ */
+
+exports.isRegression = function (duration, baseline) {
+    return (duration > baseline * REGRESSION_RATIO &&
+            duration - baseline >= MIN_REGRESSION_MILLIS);
+};
+
+/**
+ * Return the description of a run that replaces the last run. When the run selected root subtests of the same test files as the last run, the root subtests that didn't run keep their outcomes from the last run, so that rerunning some of the failures doesn't lose the others.
+ *
+ * @param lastRun Description of the last run, as returned by readLastRun(), or null to ignore the last run
+ * @param fingerprint Fingerprint of the list of test files run
+ * @param failedTests Array of the numbers of the root subtests that failed
+ * @param ranTests Array of the numbers of the root subtests that ran
+ * @return an object describing the run, for writeLastRun()
+ */
+
+exports.mergeLastRun = function (
+        lastRun, fingerprint, failedTests, ranTests)
+{
+    if (lastRun !== null && lastRun.fingerprint === fingerprint) {
+        failedTests = _.union(_.difference(lastRun.failedTests, ranTests),
+                failedTests);
+    }
+    return {
+        fingerprint: fingerprint,
+        failedTests: _.sortBy(failedTests)
+    };
+};
+
+/**
+ * Read the description of the last test run.
+ *
+ * @param stateDir Directory in which the state of prior runs is recorded
+ * @return an object containing the following properties, or null if there is no readable record of a prior run:
+ *  - fingerprint: fingerprint of the list of test files run
+ *  - failedTests: array of the numbers of the root subtests that failed
+ */
+
+exports.readLastRun = function (stateDir) {
+    return readStateFile(stateDir, LAST_RUN_FILE, null);
+};
+
+/**
+ * Read the durations that root subtests took in prior runs. Root subtests are identified by file and name rather than by number, so that their histories survive the addition and removal of other root subtests.
+ *
+ * @param stateDir Directory in which the state of prior runs is recorded
+ * @return an object mapping the paths of test files, relative to the project directory, to objects mapping the names of their root subtests to objects having the following properties, or an empty object if there is no readable history:
+ *  - number: number of the root subtest when it last ran
+ *  - durations: array of millis the root subtest took, oldest first
+ */
+
+exports.readTimings = function (stateDir) {
+    return readStateFile(stateDir, TIMINGS_FILE, {});
+};
+
+/**
+ * Record the description of a test run, replacing that of the prior run.
+ *
+ * @param stateDir Directory in which to record the state, created if needed
+ * @param lastRun Object describing the run, as returned by readLastRun()
+ */
+
+exports.writeLastRun = function (stateDir, lastRun) {
+    writeStateFile(stateDir, LAST_RUN_FILE, lastRun);
+};
+
+/**
+ * Record the durations that root subtests took, replacing the prior history.
+ *
+ * @param stateDir Directory in which to record the state, created if needed
+ * @param timings Object of durations, as returned by readTimings()
+ */
+
+exports.writeTimings = function (stateDir, timings) {
+    writeStateFile(stateDir, TIMINGS_FILE, timings);
+};
+
+//// SUPPORT FUNCTIONS ////////////////////////////////////////////////////////
+
+function readStateFile(stateDir, fileName, defaultState) {
+    // a missing or corrupt file, such as one that a killed run truncated,
+    // is no record of prior runs
+    try {
+        return JSON.parse(fs.readFileSync(path.resolve(stateDir, fileName),
+                'utf8'));
+    }
+    catch (err) {
+        return defaultState;
+    }
+}
+
+function writeStateFile(stateDir, fileName, state) {
+    if (!fs.existsSync(stateDir))
+        fs.mkdirSync(stateDir, { recursive: true });
+    fs.writeFileSync(path.resolve(stateDir, fileName),
+            JSON.stringify(state, null, 2) +"\n");
+}
@@ -0,0 +1,51 @@
+/******************************************************************************
+Methods for shuffling arrays reproducibly. A seed determines the order, so that running again with the same seed replays the same order.
+******************************************************************************/
+
+//// CONSTANTS ////////////////////////////////////////////////////////////////
+
+var SEED_LIMIT = 0x100000000; // seeds are integers 0 <= seed < 2^32
+
+/**
+ * Return a new random seed.
+ *
+ * @return an integer seed suitable for shuffle()
+ */
+
+exports.makeSeed = function () {
+    return Math.floor(Math.random() * SEED_LIMIT);
+};
+
+/**
+ * Return a shuffled copy of an array. The same seed always produces the same order for arrays of the same length.
+ *
+ * @param items Array of items to shuffle, which is left unchanged
+ * @param seed Integer determining the order, reduced modulo 2^32
+ * @return a new array of the items in shuffled order
+ */
+
+exports.shuffle = function (items, seed) {
+    var random = makeRandom(seed);
+    var shuffled = items.slice();
+    for (var i = shuffled.length - 1; i > 0; --i) { // Fisher-Yates
+        var j = Math.floor(random() * (i + 1));
+        var item = shuffled[i];
+        shuffled[i] = shuffled[j];
+        shuffled[j] = item;
+    }
+    return shuffled;
+};
+
+//// SUPPORT FUNCTIONS ////////////////////////////////////////////////////////
+
+function makeRandom(seed) {
+    // mulberry32, a small generator that is good enough for ordering tests
+    var state = seed >>> 0;
+    return function () {
+        state = (state + 0x6D2B79F5) >>> 0;
+        var t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / SEED_LIMIT;
+    };
+}
@@ -1,7 +1,9 @@
 /******************************************************************************
 States for the subtap pretty-printer. The states themselves are stateless, instead managing state within the pretty-printer. This allows a single instance of each state class to be created at startup and reused for the entire parse.
 
-A state machine may be overkill for supporting node-tap, but it's easily modified to handle unanticipated nuances, and it can later be extended to support the TAP protocol more generally.
+The states receive TAP 13 and TAP 14 as tap-parser reports it, after TapNormalizer has given every subtest a "# Subtest:" comment and unbuffered buffered subtests. Beyond the TAP of subtap's child processes, they accept streams that lack a version line, subtests that lack names, subtests that begin with their own version line, pragmas, plans at the end, and test points having TODO or SKIP directives, which don't count as failures. A test that the TAP never names is named "(unnamed)". Assertions outside of root subtests that follow a root-level comment, as tape writes them, form a root subtest named by the comment, so that reports show and count them by name.
+
+The states normally recover from TAP that they can't interpret. They report the problem as a warning, resynchronize the subtest stack with the TAP where necessary, such as by closing a test whose results never arrived once the next test begins, and continue, so that one odd line doesn't lose the rest of the report. An error that the report throws on receiving an event, such as on diagnostics of an unexpected form, likewise becomes a warning, leaving the states to complete their transition. Strict states instead throw these errors, ending the run.
 ******************************************************************************/
 
 //// MODULES //////////////////////////////////////////////////////////////////
@@ -11,17 +13,25 @@ var _ = require('lodash');
 
 //// CONSTANTS ////////////////////////////////////////////////////////////////
 
-var MIN_TAP_VERSION = 13;
-var TEST_NAME_REGEX =
-        new RegExp("^(?:# Subtest: )(.+?)( \\(.+:[0-9]+\\))?$", 'i');
+var UNNAMED_TEST_NAME = "(unnamed)";
+var TEST_NAME_REGEX = new RegExp(
+        "^# Subtest(?::(?: (.*?))?)?( \\([^()]+:[0-9]+\\))?$", 'i');
+var FLAKY_NAME_REGEX = / \(flaky\)$/; // Runner marks root subtest names
+var TEST_POINT_REGEX = /^\s*(?:not )?ok\b/;
+var TIME_DIRECTIVE_REGEX = / # time=(\d+(?:\.\d+)?)(ms|s)\s*$/i;
+var EXCUSING_DIRECTIVE_REGEX = /[^\\]# *(?:todo|skip)\b/i;
+var REPORT_METHODS = ['assertionFailed', 'assertionPassed', 'bailout',
+        'beginAbort', 'beginTest', 'closeReport', 'closeTest', 'comment',
+        'extra', 'stdio']; // methods that the states call, except warning()
 
 /******************************************************************************
 DefaultState provides default behavior for the various events. 
 ******************************************************************************/
 
-function DefaultState(printer, report) {
+function DefaultState(printer, report, strict) {
     this._printer = printer;
     this._report = report;
+    this._strict = strict;
 }
 
 //// CONTROL METHODS //////////////////////////////////////////////////////////
@@ -30,6 +40,10 @@ DefaultState.prototype.beginAbort = function () {
     this._report.beginAbort();
 };
 
+DefaultState.prototype.writeStdio = function (channel, text, time) {
+    this._report.stdio(this._printer._subtestStack, channel, text, time);
+};
+
 //// TAP EVENT HANDLERS ///////////////////////////////////////////////////////
 
 DefaultState.prototype.assertHandler = function (assert) {
@@ -61,87 +75,121 @@ DefaultState.prototype.planHandler = function (plan) {
     this._unexpectedEvent('plan', plan);
 };
 
+DefaultState.prototype.pragmaHandler = function (pragma) {
+    // ignore; tap-parser applies the only pragma it supports, strict
+};
+
 DefaultState.prototype.versionHandler = function (version) {
     this._unexpectedEvent('version', version);
 };
 
+DefaultState.prototype._recover = function (problem) {
+    // throw if strict; otherwise warn, leaving the caller to resynchronize
+    if (this._strict)
+        throw new Error(problem);
+    this._report.warning(this._printer._subtestStack, problem);
+};
+
 DefaultState.prototype._unexpectedEvent = function (eventName, data) {
-    throw new Error("unexpected '"+ eventName +"' event"+
+    // ignore the event when recovering
+    this._recover("unexpected '"+ eventName +"' event"+
             (data ? "; data "+ JSON.stringify(data) : ''));
 };
 
 /******************************************************************************
-InitialState verifies the version of TAP output
+InitialState begins the stream at the version line, or at the first TAP event if the version line is missing, as it is prior to TAP 13.
 ******************************************************************************/
 
-function InitialState(printer, report) {
-    DefaultState.call(this, printer, report);
+function InitialState(printer, report, strict) {
+    DefaultState.call(this, printer, report, strict);
 }
 inherits(InitialState, DefaultState);
 
+InitialState.prototype.completeHandler = function (results) {
+    // ctrl-C can result in a completion before a version event
+    if (results.count > 0)
+        this._unexpectedEvent('complete', results);
+};
+
+InitialState.prototype.extraHandler = function (extra) {
+    // output preceding the TAP, such as a test's console output
+    this._report.extra(this._printer._subtestStack, extra);
+};
+
 InitialState.prototype.versionHandler = function (version) {
-    if (version < MIN_TAP_VERSION)
-        throw new Error("Requires TAP v."+ MIN_TAP_VERSION +" or newer");
+    this._beginStream(); // tap-parser only reports versions 13 and later
+};
+
+InitialState.prototype._beginStream = function () {
     this._printer._counts = {
         rootSubtests: 0,
         nestedTests: 0,
         assertions: 0,
         failedRootSubtests: 0,
         failedNestedTests: 0,
-        failedAssertions: 0
+        failedAssertions: 0,
+        flakyRootSubtests: []
     };
     this._printer._state = this._printer._stateReceiveTest;
 };
 
-DefaultState.prototype.completeHandler = function (results) {
-    // ctrl-C can result in a completion before a version event
-    if (results.count > 0)
-        this._unexpectedEvent('complete', results);
-};
-
-InitialState.prototype._unexpectedEvent = function (eventName) {
-    throw new Error("Stream must begin with TAP version");
+InitialState.prototype._unexpectedEvent = function (eventName, data) {
+    // the stream lacks a version line, so the event begins the stream
+    this._beginStream();
+    this._printer._state[eventName +'Handler'](data);
 };
 
 /******************************************************************************
-AwaitTestNameState expects a comment line naming the next test
+AwaitTestNameState expects a comment line naming the next test. The comment is normally "# Subtest: <name>", but the test takes its name from any comment, and a test that begins with some other event is unnamed.
 ******************************************************************************/
 
-function AwaitTestNameState(printer, report) {
-    DefaultState.call(this, printer, report);
+function AwaitTestNameState(printer, report, strict) {
+    DefaultState.call(this, printer, report, strict);
 }
 inherits(AwaitTestNameState, DefaultState);
 
 AwaitTestNameState.prototype.commentHandler = function (comment) {
-    var matches = _.trim(comment).match(TEST_NAME_REGEX);
-    if (matches === null)
-        throw new Error('expected test name, got "'+ comment +'"');
-    var testInfo = {
-        name: matches[1],
-        file: matches[2]
-    };
+    this._beginTest(toTestInfo(comment));
+};
+
+AwaitTestNameState.prototype._beginTest = function (testInfo) {
     this._printer._subtestStack.push(testInfo);
 
-    if (this._printer._subtestStack.length === 1)
+    if (this._printer._subtestStack.length === 1) {
         ++this._printer._counts.rootSubtests;
+        if (FLAKY_NAME_REGEX.test(testInfo.name))
+            this._printer._counts.flakyRootSubtests.push(testInfo);
+    }
     else
         ++this._printer._counts.nestedTests;
     this._report.beginTest(this._printer._subtestStack, testInfo);
     this._printer._state = this._printer._stateReceiveTest;
 };
 
+AwaitTestNameState.prototype._unexpectedEvent = function (eventName, data) {
+    // the test has no name, so the event begins an unnamed test
+    this._beginTest({ name: UNNAMED_TEST_NAME, file: undefined });
+    this._printer._state[eventName +'Handler'](data);
+};
+
 /******************************************************************************
 ReceiveTestState receives assertions within a test and nested tests.
 ******************************************************************************/
 
-function ReceiveTestState(printer, report) {
-    DefaultState.call(this, printer, report);
+function ReceiveTestState(printer, report, strict) {
+    DefaultState.call(this, printer, report, strict);
 }
 inherits(ReceiveTestState, DefaultState);
 
 ReceiveTestState.prototype.assertHandler = function (assert) {
+    if (this._printer._subtestStack.length === 0 &&
+            this._printer._groupInfo !== null)
+    {
+        this._printer._stateReceiveGroup.beginGroup(assert);
+        return;
+    }
     ++this._printer._counts.assertions;
-    if (assert.ok)
+    if (assert.ok || assert.todo || assert.skip) // directives excuse failure
         this._report.assertionPassed(this._printer._subtestStack, assert);
     else {
         ++this._printer._counts.failedAssertions;
@@ -150,27 +198,30 @@ ReceiveTestState.prototype.assertHandler = function (assert) {
 };
 
 ReceiveTestState.prototype.commentHandler = function (comment) {
-    this._report.comment(this._printer._subtestStack, comment);
+    var subtestStack = this._printer._subtestStack;
+    if (subtestStack.length === 0) {
+        // may name the assertions that follow
+        this._dropGroupName();
+        this._printer._groupInfo = toTestInfo(comment);
+        this._printer._groupComment = comment;
+    }
+    else
+        this._report.comment(subtestStack, comment);
 };
 
 ReceiveTestState.prototype.childHandler = function (childParser) {
+    this._dropGroupName();
     this._printer._state = this._printer._stateAwaitTestName;
 };
 
 ReceiveTestState.prototype.completeHandler = function (results) {
     if (this._printer._subtestStack.length === 0) {
+        this._dropGroupName();
         this._report.closeReport(this._printer._subtestStack, results,
                 this._printer._counts);
     }
     else {
-        if (!results.ok) {
-            if (this._printer._subtestStack.length === 1)
-                ++this._printer._counts.failedRootSubtests;
-            else
-                ++this._printer._counts.failedNestedTests;
-        }
-        this._report.closeTest(this._printer._subtestStack, results);
-        this._printer._subtestStack.pop();
+        this._closeTest(results);
         this._printer._state = this._printer._stateAwaitTapResults;
     }
 };
@@ -180,15 +231,55 @@ ReceiveTestState.prototype.extraHandler = function (extra) {
 };
 
 ReceiveTestState.prototype.planHandler = function (plan) {
-    // ignore
+    // ignore, whether at the start or the end of the test
+};
+
+ReceiveTestState.prototype.versionHandler = function (version) {
+    // ignore; a TAP 14 subtest may begin with its own version line
+};
+
+ReceiveTestState.prototype._closeTest = function (results) {
+    // tap-parser completes a test on reading the test's test point, which
+    // it then holds until the next line in case YAML follows, so close the
+    // test now, taking its time and directive from the test point's line
+    var subtestStack = this._printer._subtestStack;
+    var lastLine = this._printer._lastLine;
+    var testPoint = (lastLine !== null &&
+            lastLine.level === subtestStack.length - 1 &&
+            TEST_POINT_REGEX.test(lastLine.text) ? lastLine.text : '');
+    var time = testPoint.match(TIME_DIRECTIVE_REGEX);
+    results = _.assign({}, results, {
+        time: (time !== null ? // undefined if tap didn't report the time
+                parseFloat(time[1]) * (time[2] === 's' ? 1000 : 1) : undefined)
+    });
+    if (EXCUSING_DIRECTIVE_REGEX.test(testPoint))
+        results.ok = true; // directives excuse failure
+    if (!results.ok) {
+        if (subtestStack.length === 1)
+            ++this._printer._counts.failedRootSubtests;
+        else
+            ++this._printer._counts.failedNestedTests;
+    }
+    this._report.closeTest(subtestStack, results);
+    subtestStack.pop();
+};
+
+ReceiveTestState.prototype._dropGroupName = function () {
+    // a root-level comment that no assertions followed is just a comment
+    if (this._printer._groupInfo === null)
+        return;
+    this._report.comment(this._printer._subtestStack,
+            this._printer._groupComment);
+    this._printer._groupInfo = null;
+    this._printer._groupComment = null;
 };
 
 /******************************************************************************
-AwaitTapResultsState expects the tap module's assertion line for the test results. Ignore these results because we're using those of the tap-parser.
+AwaitTapResultsState expects the tap module's assertion line for the results of the test just closed. Ignore these results because we're using those of the tap-parser.
 ******************************************************************************/
 
-function AwaitTapResultsState(printer, report) {
-    ReceiveTestState.call(this, printer, report);
+function AwaitTapResultsState(printer, report, strict) {
+    ReceiveTestState.call(this, printer, report, strict);
 }
 inherits(AwaitTapResultsState, ReceiveTestState);
 
@@ -197,16 +288,119 @@ AwaitTapResultsState.prototype.assertHandler = function (assert) {
 };
 
 AwaitTapResultsState.prototype.childHandler = function (childParser) {
-    this._unexpectedEvent('child', childParser);
+    // the prior test never reported its results, so resynchronize by
+    // proceeding to the next test
+    this._recover("a test ended without a test point");
+    ReceiveTestState.prototype.childHandler.call(this, childParser);
+};
+
+/******************************************************************************
+ReceiveGroupState receives the assertions of a root subtest that a root-level comment names. The assertions belong to the root test in the TAP, so the next root-level event other than an assertion closes the subtest before being handled as usual.
+******************************************************************************/
+
+function ReceiveGroupState(printer, report, strict) {
+    ReceiveTestState.call(this, printer, report, strict);
+}
+inherits(ReceiveGroupState, ReceiveTestState);
+
+ReceiveGroupState.prototype.assertHandler = function (assert) {
+    if (!assert.ok && !assert.todo && !assert.skip)
+        this._printer._groupFailed = true;
+    ReceiveTestState.prototype.assertHandler.call(this, assert);
+};
+
+ReceiveGroupState.prototype.beginGroup = function (assert) {
+    // begin the root subtest with the assertion that follows its name
+    var printer = this._printer;
+    var testInfo = printer._groupInfo;
+    printer._groupInfo = null;
+    printer._groupComment = null;
+    printer._groupFailed = false;
+    printer._subtestStack.push(testInfo);
+    ++printer._counts.rootSubtests;
+    this._report.beginTest(printer._subtestStack, testInfo);
+    printer._state = this;
+    this.assertHandler(assert);
+};
+
+ReceiveGroupState.prototype.childHandler = function (childParser) {
+    this._closeGroup();
+    ReceiveTestState.prototype.childHandler.call(this, childParser);
+};
+
+ReceiveGroupState.prototype.commentHandler = function (comment) {
+    this._closeGroup();
+    ReceiveTestState.prototype.commentHandler.call(this, comment);
+};
+
+ReceiveGroupState.prototype.completeHandler = function (results) {
+    this._closeGroup();
+    ReceiveTestState.prototype.completeHandler.call(this, results);
+};
+
+ReceiveGroupState.prototype._closeGroup = function () {
+    var subtestStack = this._printer._subtestStack;
+    var ok = !this._printer._groupFailed;
+    if (!ok)
+        ++this._printer._counts.failedRootSubtests;
+    this._report.closeTest(subtestStack, { ok: ok, time: undefined });
+    subtestStack.pop();
+    this._printer._state = this._printer._stateReceiveTest;
 };
 
+//// SUPPORT FUNCTIONS ////////////////////////////////////////////////////////
+
+function makeRecoveringReport(report, printer) {
+    // wrap the report so that its errors become warnings
+    var recoveringReport = Object.create(report);
+    REPORT_METHODS.forEach(function (methodName) {
+        recoveringReport[methodName] = function () {
+            try {
+                return report[methodName].apply(report, arguments);
+            }
+            catch (err) {
+                report.warning(printer._subtestStack, "failed to report "+
+                        methodName +"(): "+ err.message);
+            }
+        };
+    });
+    return recoveringReport;
+}
+
+function toTestInfo(comment) {
+    // parse "# Subtest: <name> (<file>:<line>)" as subtap's child processes
+    // write it, or take the name from whatever the comment says
+    var matches = _.trim(comment).match(TEST_NAME_REGEX);
+    var name = (matches !== null ? matches[1] :
+            _.trim(_.trim(comment).replace(/^#/, '')));
+    return {
+        name: name || UNNAMED_TEST_NAME,
+        file: (matches !== null ? matches[2] : undefined)
+    };
+}
+
 //// EXPORTS //////////////////////////////////////////////////////////////////
 
-exports.install = function (printer, report) {
-    printer._stateInitial = new InitialState(printer, report);
-    printer._stateAwaitTestName = new AwaitTestNameState(printer, report);
-    printer._stateReceiveTest = new ReceiveTestState(printer, report);
-    printer._stateAwaitTapResults = new AwaitTapResultsState(printer, report);
+/**
+ * Install the states on a pretty-printer, putting it in the initial state.
+ *
+ * @param printer PrettyPrinter that is to receive the states
+ * @param report Report to which the states send test events
+ * @param strict Whether to throw an error on TAP that the states can't interpret instead of recovering from it (defaults to false)
+ */
+
+exports.install = function (printer, report, strict) {
+    strict = strict || false;
+    if (!strict)
+        report = makeRecoveringReport(report, printer);
+    printer._stateInitial = new InitialState(printer, report, strict);
+    printer._stateAwaitTestName =
+            new AwaitTestNameState(printer, report, strict);
+    printer._stateReceiveTest = new ReceiveTestState(printer, report, strict);
+    printer._stateAwaitTapResults =
+            new AwaitTapResultsState(printer, report, strict);
+    printer._stateReceiveGroup =
+            new ReceiveGroupState(printer, report, strict);
     
     printer._state = printer._stateInitial;
 };
@@ -0,0 +1,118 @@
+/******************************************************************************
+Promise-based prompts for test code to use in pausing for the user or asking the user for input. Under subtap, each function asks subtap to prompt the user, suspending subtap's inactivity timeout until the user answers. Under test runners that don't support prompt input, each function resolves immediately with a default answer, so tests that prompt still run unattended.
+
+Prompts are queued, so a prompt requested while another awaits its answer waits for that answer before displaying.
+
+When subtap can't answer a prompt, such as when running without a terminal and without an answer for the prompt, the prompt's promise rejects with an error explaining why.
+******************************************************************************/
+
+//// CONSTANTS ////////////////////////////////////////////////////////////////
+
+var ENV_SUPPORTS_PROMPT = 'SUPPORTS_PROMPT_INPUT_IPC';
+
+//// STATE ////////////////////////////////////////////////////////////////////
+
+var lastPrompt = Promise.resolve(); // settles once the last prompt is answered
+
+//// PUBLIC FUNCTIONS /////////////////////////////////////////////////////////
+
+/**
+ * Pause until the user hits Enter.
+ *
+ * @param message Message to display at the prompt
+ * @return a promise that resolves with undefined once the user hits Enter, or immediately if prompting isn't supported
+ */
+
+exports.pause = function (message) {
+    return requestInput('pause', message, null, function (input) {
+        return undefined;
+    }, undefined);
+};
+
+/**
+ * Ask the user to type a line of text.
+ *
+ * @param message Message to display at the prompt
+ * @return a promise that resolves with the text the user typed, or with '' if prompting isn't supported
+ */
+
+exports.ask = function (message) {
+    return requestInput('ask', message, null, function (input) {
+        return input;
+    }, '');
+};
+
+/**
+ * Ask the user a yes-or-no question.
+ *
+ * @param message Question to display at the prompt
+ * @return a promise that resolves with true if the user answered yes and false if the user answered no, or with false if prompting isn't supported
+ */
+
+exports.confirm = function (message) {
+    return requestInput('confirm', message, null, function (input) {
+        return /^\s*y/i.test(input);
+    }, false);
+};
+
+/**
+ * Ask the user to choose among options, which the prompt lists by number.
+ *
+ * @param message Message to display at the prompt
+ * @param options Non-empty array of the options, each displayed as a string
+ * @return a promise that resolves with the option chosen, or with null if prompting isn't supported
+ */
+
+exports.choose = function (message, options) {
+    if (!Array.isArray(options) || options.length === 0)
+        throw new Error("choose() requires a non-empty array of options");
+    var choices = options.map(function (option) {
+        return String(option);
+    });
+    return requestInput('choose', message, choices, function (input) {
+        var option = options[parseInt(input) - 1];
+        return (option === undefined ? null : option);
+    }, null);
+};
+
+//// SUPPORT FUNCTIONS ////////////////////////////////////////////////////////
+
+function isPromptSupported() {
+    var support = process.env[ENV_SUPPORTS_PROMPT];
+    return (typeof process.send === 'function' && process.connected &&
+            support !== undefined && support !== 'false');
+}
+
+function requestInput(kind, message, choices, toAnswer, defaultAnswer) {
+    // errors report where the test prompted, omitting this module's frames
+    var callerFrames = new Error().stack.split("\n").filter(function (line) {
+        return /^\s+at /.test(line) && line.indexOf(__filename) < 0;
+    });
+    var answer = lastPrompt.then(function () {
+        if (!isPromptSupported())
+            return defaultAnswer;
+        return new Promise(function (resolve, reject) {
+            // listen first in case the runner responds immediately
+            function onInput(input) {
+                process.removeListener('promptError', onError);
+                resolve(toAnswer(String(input)));
+            }
+            function onError(message) {
+                process.removeListener('promptInput', onInput);
+                var err = new Error(message);
+                err.stack = [err.toString()].concat(callerFrames).join("\n");
+                reject(err);
+            }
+            process.once('promptInput', onInput);
+            process.once('promptError', onError);
+            process.send({
+                event: 'prompt',
+                kind: kind,
+                message: String(message),
+                choices: choices
+            });
+        });
+    });
+    lastPrompt = answer.catch(function () { }); // next prompt still displays
+    return answer;
+}
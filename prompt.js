@@ -0,0 +1,5 @@
+/******************************************************************************
+Prompts for test code to use in pausing for the user or asking the user for input, loaded via require('subtap/prompt'). See lib/test_prompt.js.
+******************************************************************************/
+
+module.exports = require('./lib/test_prompt');
@@ -41,6 +41,7 @@ var REGEX_FUNCTION_SIG = new RegExp("^function *(?:"+ REGEX_JS_TERM +" *)?"+
 // 'good' - style for marking wanted text that was not found
 // 'label1' - style for a primary YAML label
 // 'label2' - style for a secondary YAML label
+// 'slow' - style for the duration of a root subtest exceeding --slow
 
 var COLORMAP_16 = {
     'pass': '\x1b[32m', // dark green text
@@ -52,7 +53,8 @@ var COLORMAP_16 = {
     'bad': '\x1b[31m', // dark red text
     'good': '\x1b[32m', // dark green text
     'label1': '', // default text color
-    'label2': '\x1b[90m' // gray text
+    'label2': '\x1b[90m', // gray text
+    'slow': '\x1b[33m' // dark yellow text
 };
 
 var COLORMAP_256 = {
@@ -65,7 +67,8 @@ var COLORMAP_256 = {
     'bad': '\x1b[31m', // dark red text
     'good': '\x1b[38;5;022m', // dark green text
     'label1': '', // default text color
-    'label2': '\x1b[38;5;242m' // gray text
+    'label2': '\x1b[38;5;242m', // gray text
+    'slow': '\x1b[38;5;166m' // orange text
 };
 
 //// PRIVATE CONFIGURATION ////////////////////////////////////////////////////
@@ -86,6 +89,12 @@ var COLORMAP_256 = {
 // _indent - string of spaces by which to indent each JSON nesting
 // _outputStream - stream to which to write output (a node Writable)
 // _closeStream - whether to call end() on the output stream
+// _shuffleSeed - seed with which the root subtests were shuffled, or null
+// _showDurations - whether to show the durations of root subtests
+// _slowest - number of slowest root subtests to list at close, or 0
+// _slow - millis beyond which a root subtest is slow, or 0 for no limit
+// _estimate - millis the root subtests are expected to take, or null
+// _canonical - whether to visibly render control codes in output
 
 //// PRIVATE STATE ////////////////////////////////////////////////////////////
 
@@ -93,6 +102,10 @@ var COLORMAP_256 = {
 // _rootSubtestFailed - whether the containing root subtest has failed
 // _aborting - whether test run was aborted prematurely
 // _truncated - whether the report has been truncated
+// _rootDurations - array of {testInfo, time} for closed root subtests
+// _timingRegressions - array of root subtests that took unusually long
+// _stdioShown - whether inline stdio follows the name of the root subtest
+// _heldOutput - array of output texts held back from the output stream, or null when not holding output
 
 //// CONSTRUCTION /////////////////////////////////////////////////////////////
 
@@ -115,6 +128,11 @@ var COLORMAP_256 = {
  *   - minAutoLineNumbering: minimum number of lines that a wanted or found value must have in order for its lines to automatically be numbered, without line numbers interferring with differences comparisions. 0 disables line numbering. (default 0)
  *   - canonical: whether to visibly render control codes in output (defaults to false)
  *   - closeStream: whether to call end() on the output stream (defaults to false, which is usual for stdout)
+ *   - shuffleSeed: seed with which the root subtests were shuffled, for reporting in the closing summary (defaults to null for not shuffled)
+ *   - showDurations: whether to show the time each root subtest took next to its name, for reports that support it (defaults to false)
+ *   - slowest: number of slowest root subtests to list after the closing summary (defaults to 0 for none)
+ *   - slow: milliseconds beyond which to highlight a root subtest as slow, unless the test sets its own 'slow' threshold (defaults to 0 for no threshold)
+ *   - estimate: milliseconds the root subtests are expected to take in total, for reports that show the time remaining (defaults to null for unknown)
 */
 
 function BaseReport(outputStream, options) {
@@ -134,6 +152,14 @@ function BaseReport(outputStream, options) {
     this._interleaveDiffs = options.interleaveDiffs,
     this._minAutoLineNumbering = options.minAutoLineNumbering || 0,
     this._closeStream = options.closeStream || false;
+    this._shuffleSeed = (_.isUndefined(options.shuffleSeed) ? null :
+            options.shuffleSeed);
+    this._showDurations = options.showDurations || false;
+    this._slowest = options.slowest || 0;
+    this._slow = options.slow || 0;
+    this._estimate = (_.isUndefined(options.estimate) ? null :
+            options.estimate);
+    this._canonical = options.canonical || false;
     
     var self = this;
     this._maker = new LineMaker({
@@ -144,9 +170,10 @@ function BaseReport(outputStream, options) {
         colorOverrides: options.colorOverrides,
         continuation: BaseReport.SYMBOL_CONTINUED,
         writeFunc: function (text) {
-            if (options.canonical)
-                text = self._canonicalize(text);
-            outputStream.write(text);
+            if (self._heldOutput !== null)
+                self._heldOutput.push(text);
+            else
+                self._writeOutput(text);
         }
     });
     this._indent = this._maker.spaces(this._tabSize);
@@ -157,6 +184,10 @@ function BaseReport(outputStream, options) {
     this._rootSubtestFailed = false;
     this._aborting = false;
     this._truncated = false;
+    this._rootDurations = [];
+    this._timingRegressions = [];
+    this._stdioShown = false;
+    this._heldOutput = null;
 }
 module.exports = BaseReport;
 
@@ -177,6 +208,21 @@ BaseReport.NEWLINE_SUB = BaseReport.SYMBOL_NEWLINE +"\n";
 BaseReport.SYMBOL_CONTINUED = '…';
 BaseReport.LINE_NUMBER_DELIM = ':';
 
+//// PUBLIC FUNCTIONS /////////////////////////////////////////////////////////
+
+/**
+ * Format the duration of a test for display.
+ *
+ * @param time Duration in milliseconds
+ * @return "<N>ms" for durations under a second, else "<N.NN>s"
+ */
+
+BaseReport.formatDuration = function (time) {
+    if (time < 1000)
+        return Math.round(time) +"ms";
+    return (time / 1000).toFixed(2) +"s";
+};
+
 //// PUBLIC METHODS ///////////////////////////////////////////////////////////
 
 BaseReport.prototype.beginAbort = function (subtestStack, testInfo) {
@@ -186,8 +232,10 @@ BaseReport.prototype.beginAbort = function (subtestStack, testInfo) {
 BaseReport.prototype.beginTest = function (subtestStack, testInfo) {
     if (this._truncated)
         return;
-    if (subtestStack.length === 1)
+    if (subtestStack.length === 1) {
         this._rootSubtestFailed = false;
+        this._stdioShown = false;
+    }
     else if (subtestStack.length > 1)
         testInfo.name = "Subtest: "+ testInfo.name;
 };
@@ -200,22 +248,43 @@ BaseReport.prototype.extra = function (subtestStack, extra) {
     // ignore by default
 };
 
+BaseReport.prototype.warning = function (subtestStack, message) {
+    // "WARNING: <message>" for TAP that the printer couldn't interpret
+    if (this._truncated)
+        return;
+    this._printTestContext(subtestStack);
+    this._maker.line(subtestStack.length,
+            this._color('fail', "WARNING: "+ message));
+};
+
+BaseReport.prototype.stdio = function (subtestStack, channel, text, time) {
+    // "+<time> <channel>: <line>" under the running test, for each line
+    if (this._truncated)
+        return;
+    this._printTestContext(subtestStack);
+    var prefix = this._color('label2',
+            '+'+ BaseReport.formatDuration(time) +' '+ channel +':');
+    var lines = text.replace(/\r/g, '').split("\n");
+    if (lines[lines.length - 1] === '')
+        lines.pop(); // assume "\n" terminates lines rather than delimits
+    lines.forEach(function (line) {
+        this._maker.line(subtestStack.length, prefix +' '+ line);
+    }, this);
+    this._stdioShown = true;
+};
+
 BaseReport.prototype.assertionFailed = function (subtestStack, assert) {
     if (this._truncated)
         return;
     if (assert.diag && assert.diag.signal === 'SIGTERM') {
+        this._releaseOutput();
         this._truncated = true;
         return;
     }
     if (subtestStack.length > 0) {
         if (!this._rootSubtestFailed) {
             this._printUpLine();
-            var testInfo = subtestStack[0];
-            var text = this._color('fail', this._bold(BaseReport.SYMBOL_FAIL));
-            text += ' '+ this._color('root-fail', this._bold(testInfo.name));
-            if (testInfo.file)
-                text += this._color('root-fail', testInfo.file);
-            this._maker.line(0, text);
+            this._printFailedRootName(subtestStack[0]);
             this._depthShown = 1;
         }
         this._rootSubtestFailed = true;
@@ -240,11 +309,18 @@ BaseReport.prototype.assertionPassed = function (subtestStack, assert) {
 BaseReport.prototype.closeTest = function (subtestStack, results) {
     if (this._truncated)
         return;
+    if (subtestStack.length === 1 && !_.isUndefined(results.time)) {
+        this._rootDurations.push({
+            testInfo: subtestStack[0],
+            time: results.time
+        });
+    }
     if (this._depthShown === subtestStack.length)
         --this._depthShown;
 };
 
 BaseReport.prototype.closeReport = function (subtestStack, results, counts) {
+    this._releaseOutput(); // in case a root subtest never closed
     if (this._truncated)
         return;
     if (!this._aborting) {
@@ -252,11 +328,36 @@ BaseReport.prototype.closeReport = function (subtestStack, results, counts) {
             this._passedClosing(counts);
         else
             this._failedClosing(counts);
+        if (counts.flakyRootSubtests.length > 0)
+            this._flakyClosing(counts);
+        if (this._slowest > 0 && this._rootDurations.length > 0)
+            this._slowestClosing();
+        if (this._timingRegressions.length > 0)
+            this._regressionsClosing();
+    }
+    if (this._shuffleSeed !== null) { // needed to replay even if aborted
+        this._maker.line(0, "Shuffled with seed "+ this._shuffleSeed);
+        this._maker.blankLine(1);
     }
     if (this._closeStream)
         this._outputStream.end();
 };
 
+/**
+ * Report that a root subtest took notably longer than it usually does. The report lists these root subtests after the closing summary.
+ *
+ * @param regression Object having the following properties:
+ *   - number: number of the root subtest
+ *   - name: name of the root subtest, without its number
+ *   - file: path of the test file, relative to the working directory
+ *   - duration: millis the root subtest took
+ *   - baseline: millis the root subtest usually takes
+ */
+
+BaseReport.prototype.addTimingRegression = function (regression) {
+    this._timingRegressions.push(regression);
+};
+
 BaseReport.prototype.bailout = function (subtestStack, reason, counts) {
     if (this._aborting || this._truncated)
         return;
@@ -389,6 +490,15 @@ BaseReport.prototype._failedClosing = function (counts) {
     this._maker.blankLine(1);
 };
 
+BaseReport.prototype._flakyClosing = function (counts) {
+    // "Passed only on a retry:" followed by the flaky root subtests
+    this._maker.line(0, this._bold("Passed only on a retry:"));
+    counts.flakyRootSubtests.forEach(function (testInfo) {
+        this._maker.line(1, this._makeName(BaseReport.SYMBOL_PASS, testInfo));
+    }, this);
+    this._maker.blankLine(1);
+};
+
 BaseReport.prototype._getResultsWidth = function (leftMargin) {
     var rightMargin = this._minResultsMargin;
     if (rightMargin - leftMargin < this._minResultsWidth)
@@ -486,8 +596,57 @@ BaseReport.prototype._highlightDiffs = function (
 };
 
 BaseReport.prototype._makeAssertion = function (assert) {
-    var result = (assert.ok ? 'passed' : 'FAILED');
-    return result +"."+ assert.id +" - "+ assert.name;
+    // "<result>.<id> - <name> # <directive>", with parts the TAP lacks
+    // omitted, where a TODO or SKIP directive excuses a failure
+    var directive = (assert.todo ? 'TODO' : (assert.skip ? 'SKIP' : null));
+    var result = (assert.ok ? 'passed' : (directive ? 'failed' : 'FAILED'));
+    var text = result +"."+ assert.id;
+    if (assert.name)
+        text += " - "+ assert.name;
+    if (directive !== null) {
+        var reason = assert.todo || assert.skip;
+        text += " # "+ directive + (_.isString(reason) ? " "+ reason : '');
+    }
+    return text;
+};
+
+BaseReport.prototype._isSlow = function (testInfo, time) {
+    // a root subtest's own threshold overrides the report's; 0 is no limit
+    var threshold = (_.isUndefined(testInfo.slow) ? this._slow :
+            testInfo.slow);
+    return (threshold > 0 && !_.isUndefined(time) && time > threshold);
+};
+
+BaseReport.prototype._makeDuration = function (testInfo, time) {
+    // " <duration>" if showing durations, " <duration> (slow)" if slow,
+    // otherwise ""
+    if (this._isSlow(testInfo, time)) {
+        return ' '+ this._color('slow',
+                BaseReport.formatDuration(time) +" (slow)");
+    }
+    if (!this._showDurations || _.isUndefined(time))
+        return '';
+    return ' '+ this._color('label2', BaseReport.formatDuration(time));
+};
+
+BaseReport.prototype._makeEta = function () {
+    // " (ETA <duration>)" if the remaining time can be estimated, else ""
+    if (this._estimate === null)
+        return '';
+    var remaining = this._estimate - _.sumBy(this._rootDurations, 'time');
+    if (remaining <= 0)
+        return ''; // taking longer than usual, so no estimate
+    return ' '+ this._color('label2',
+            "(ETA "+ BaseReport.formatDuration(remaining) +")");
+};
+
+BaseReport.prototype._makeFailedRootName = function (testInfo) {
+    // "✗ <name>" for the root subtest containing the first failure
+    var text = this._color('fail', this._bold(BaseReport.SYMBOL_FAIL));
+    text += ' '+ this._color('root-fail', this._bold(testInfo.name));
+    if (testInfo.file)
+        text += this._color('root-fail', testInfo.file);
+    return text;
 };
 
 BaseReport.prototype._makeName = function (bullet, testInfo, color) {
@@ -690,16 +849,22 @@ BaseReport.prototype._printFailedAssertion = function (
         if (!_.isUndefined(assert.diag.found))
             this._printDiffs(indentLevel, assert);
         var diag = this._sortPrimaryLabelsFirst(assert.diag);
-        var diagText = yaml.safeDump(diag, {
-            indent: this._tabSize,
-            lineWidth: this._minResultsMargin - indentLevel*this._tabSize
-        });
-        diagText = this._colorLabels(diagText);
-        this._maker.multiline(indentLevel, indentLevel, diagText);
+        if (!_.isEmpty(diag)) { // diffs may have consumed all of the diag
+            var diagText = yaml.safeDump(diag, {
+                indent: this._tabSize,
+                lineWidth: this._minResultsMargin - indentLevel*this._tabSize
+            });
+            diagText = this._colorLabels(diagText);
+            this._maker.multiline(indentLevel, indentLevel, diagText);
+        }
         this._maker.blankLine(1);
     }
 };
 
+BaseReport.prototype._printFailedRootName = function (testInfo) {
+    this._maker.line(0, this._makeFailedRootName(testInfo));
+};
+
 BaseReport.prototype._printInterleavedDiffs = function(
     indentLevel, actual, expected)
 {
@@ -849,7 +1014,74 @@ BaseReport.prototype._printTestContext = function (subtestStack) {
 };
 
 BaseReport.prototype._printUpLine = function () {
-    this._maker.upLine(); // subclass might override this
+    // subclass might override this; never overwrite inline stdio, and
+    // keep the line that follows from overwriting a temp line below it
+    if (!this._stdioShown)
+        this._maker.upLine();
+    else
+        this._maker.endTempLine();
+};
+
+BaseReport.prototype._printClosedRootName = function (testInfo, passed, time) {
+    // "✓ <name> <duration>" or "✗ <name> <duration>" for a root subtest
+    var line;
+    if (passed)
+        line = this._makeName(BaseReport.SYMBOL_PASS, testInfo, 'pass');
+    else
+        line = this._makeName(BaseReport.SYMBOL_FAIL, testInfo, 'root-fail');
+    this._maker.line(0, line + this._makeDuration(testInfo, time));
+};
+
+BaseReport.prototype._regressionsClosing = function () {
+    // "Slower than usual:" followed by durations, baselines, and names
+    this._maker.line(0, this._bold("Slower than usual:"));
+    _.sortBy(this._timingRegressions, 'number').forEach(function (test) {
+        var times = BaseReport.formatDuration(test.duration) +" (usually "+
+                BaseReport.formatDuration(test.baseline) +")";
+        this._maker.line(1, this._color('slow', times) +" "+
+                this._bold("["+ test.number +"] "+ test.name) +
+                " ("+ test.file +")");
+    }, this);
+    this._maker.blankLine(1);
+};
+
+BaseReport.prototype._holdOutput = function () {
+    // hold back output from the output stream until _releaseOutput()
+    if (this._heldOutput === null)
+        this._heldOutput = [];
+};
+
+BaseReport.prototype._releaseOutput = function () {
+    // write any held output to the output stream and stop holding output
+    var heldOutput = this._heldOutput;
+    if (heldOutput === null)
+        return;
+    this._heldOutput = null;
+    heldOutput.forEach(function (text) {
+        this._writeOutput(text);
+    }, this);
+};
+
+BaseReport.prototype._slowestClosing = function () {
+    // "Slowest N root subtests:" followed by durations and names
+    var slowest = _.sortBy(this._rootDurations, function (duration) {
+        return -duration.time;
+    }).slice(0, this._slowest);
+    this._maker.line(0, this._bold("Slowest "+ slowest.length +
+            " root subtests:"));
+    var timeWidth = _.max(slowest.map(function (duration) {
+        return BaseReport.formatDuration(duration.time).length;
+    }));
+    slowest.forEach(function (duration) {
+        var time = _.padStart(BaseReport.formatDuration(duration.time),
+                timeWidth);
+        var testInfo = duration.testInfo;
+        var styleID = (this._isSlow(testInfo, duration.time) ? 'slow' :
+                'label2');
+        this._maker.line(1, this._color(styleID, time) +" "+
+                this._bold(testInfo.name) + (testInfo.file || ''));
+    }, this);
+    this._maker.blankLine(1);
 };
 
 BaseReport.prototype._sortPrimaryLabelsFirst = function (diag) {
@@ -877,3 +1109,9 @@ BaseReport.prototype._truncateFunction = function (jsonName, value) {
 BaseReport.prototype._yamlMark = function (trailingLF) {
     return (trailingLF ? ' |' : ' |-');
 };
+
+BaseReport.prototype._writeOutput = function (text) {
+    if (this._canonical)
+        text = this._canonicalize(text);
+    this._outputStream.write(text);
+};
@@ -37,5 +37,10 @@ FullReport.prototype.assertionPassed = function (subtestStack, assert) {
 
 FullReport.prototype.closeTest = function (subtestStack, results) {
     BaseReport.prototype.closeTest.call(this, subtestStack, results);
-    // ignore test results line when showing all tests and assertions
+    // ignore test results line when showing all tests and assertions,
+    // except to show the durations of root subtests when requested or slow
+    if (this._truncated || subtestStack.length !== 1)
+        return;
+    if (this._showDurations || this._isSlow(subtestStack[0], results.time))
+        this._printClosedRootName(subtestStack[0], results.ok, results.time);
 };
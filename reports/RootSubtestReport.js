@@ -1,5 +1,5 @@
 /******************************************************************************
-RootSubtestReport outputs the pass/fail status of each root-most subtest, along with the details of any assertion that failed within the test. The report does not output the results of passing nested tests, except to reflect those results in the status of the root-most containing subtest. If an assertion fails within a nested test, the report also outputs the names of the containing tests. When all tests pass, the report lists all root-most subtests checkmarks preceding.
+RootSubtestReport outputs the pass/fail status of each root-most subtest, along with the details of any assertion that failed within the test. The report does not output the results of passing nested tests, except to reflect those results in the status of the root-most containing subtest. If an assertion fails within a nested test, the report also outputs the names of the containing tests. When all tests pass, the report lists all root-most subtests checkmarks preceding. When showing durations or slow tests, the report holds back the details of a failed root subtest until the subtest closes, so that the subtest's name can show its duration.
 
 As the report runs, it overwrites the current console line with the name of the currently running test or the results of the most recent passing assertion. This serves as feedback to the user that the test is running.
 ******************************************************************************/
@@ -9,6 +9,8 @@ var BaseReport = require('./BaseReport');
 
 function RootSubtestReport(outputStream, options) {
     BaseReport.call(this, outputStream, options);
+    this._failedNameIndex = 0; // index of failed name line in held output
+    this._failedNameText = ''; // text of the held failed name line
 }
 util.inherits(RootSubtestReport, BaseReport);
 module.exports = RootSubtestReport;
@@ -17,8 +19,11 @@ RootSubtestReport.prototype.beginTest = function (subtestStack, testInfo) {
     BaseReport.prototype.beginTest.call(this, subtestStack, testInfo);
     if (this._truncated)
         return;
-    if (subtestStack.length === 1)
-        this._printTestContext(subtestStack);
+    if (subtestStack.length === 1) { // overwritten when test closes
+        this._maker.line(0, this._makeName(BaseReport.SYMBOL_PENDING,
+                testInfo) + this._makeEta());
+        this._depthShown = 1;
+    }
     else {
         this._maker.tempLine(subtestStack.length - 1,
                 this._makeName(BaseReport.SYMBOL_PENDING, testInfo));
@@ -29,10 +34,31 @@ RootSubtestReport.prototype.closeTest = function (subtestStack, results) {
     BaseReport.prototype.closeTest.call(this, subtestStack, results);
     if (this._truncated)
         return;
-    if (subtestStack.length === 1 && !this._rootSubtestFailed) {
-        this._printUpLine();
-        var line =
-            this._makeName(BaseReport.SYMBOL_PASS, subtestStack[0], 'pass');
-        this._maker.line(0, line);
+    if (subtestStack.length === 1) {
+        if (!this._rootSubtestFailed) {
+            this._printUpLine();
+            this._printClosedRootName(subtestStack[0], true, results.time);
+        }
+        else if (this._heldOutput !== null) {
+            // the failed name line precedes the held failure details
+            var nameOutput = this._heldOutput[this._failedNameIndex];
+            this._heldOutput[this._failedNameIndex] = this._failedNameText +
+                    this._makeDuration(subtestStack[0], results.time) +
+                    nameOutput.substr(this._failedNameText.length);
+            this._releaseOutput();
+        }
+    }
+};
+
+RootSubtestReport.prototype._printFailedRootName = function (testInfo) {
+    // hold the failure details until the test closes if the failed name
+    // line might need to show the test's duration
+    var threshold = (testInfo.slow === undefined ? this._slow :
+            testInfo.slow);
+    if (this._showDurations || threshold > 0) {
+        this._holdOutput();
+        this._failedNameIndex = this._heldOutput.length;
+        this._failedNameText = this._makeFailedRootName(testInfo);
     }
+    BaseReport.prototype._printFailedRootName.call(this, testInfo);
 };
@@ -0,0 +1,69 @@
+var t = require('tap');
+var _ = require('lodash');
+var MemoryStream = require('memory-streams').WritableStream;
+var LineMaker = require('../lib/LineMaker');
+var PrettyPrinter = require('../lib/PrettyPrinter');
+var FullReport = require('../reports/FullReport');
+
+function render(tap, options, writeTap) {
+    var outputStream = new MemoryStream();
+    var report = new FullReport(outputStream, _.assign({
+        styleMode: LineMaker.STYLE_OFF
+    }, options));
+    var printer = new PrettyPrinter(report);
+    if (writeTap)
+        writeTap(printer);
+    else
+        printer.write(tap);
+    printer.end();
+    return outputStream.toString();
+}
+
+t.test("names root-level assertions by the comments preceding them",
+        function (t) {
+    var output = render(
+        "TAP version 13\n"+
+        "# first\n"+
+        "ok 1 a\n"+
+        "not ok 2 b\n"+
+        "# second\n"+
+        "ok 3 c\n"+
+        "1..3\n");
+    t.match(output, /- first\n {2}✓ passed\.1 - a\n {2}✗ FAILED\.2 - b\n/);
+    t.match(output, /- second\n {2}✓ passed\.3 - c\n/);
+    t.match(output, /Failed 1 of 2 root subtests, 1 of 3 assertions/);
+    t.end();
+});
+
+t.test("leaves root-level comments without assertions as comments",
+        function (t) {
+    var output = render(
+        "TAP version 13\n"+
+        "# Subtest: a\n"+
+        "    ok 1 - x\n"+
+        "    1..1\n"+
+        "ok 1 - a\n"+
+        "# time=5ms\n"+
+        "1..1\n");
+    t.notMatch(output, /time=/);
+    t.match(output, /Passed all 1 root subtests, all 1 assertions/);
+    t.end();
+});
+
+t.test("applies the slow thresholds that root subtests set", function (t) {
+    var output = render(null, { slow: 100 }, function (printer) {
+        printer.write("TAP version 13\n");
+        printer.write("    # Subtest: [1] lenient\n");
+        printer.setRootSlow(500);
+        printer.write("    ok 1 - x\n    1..1\n");
+        printer.write("ok 1 - [1] lenient # time=200ms\n");
+        printer.write("    # Subtest: [2] strict\n");
+        printer.setRootSlow(20);
+        printer.write("    ok 1 - y\n    1..1\n");
+        printer.write("ok 2 - [2] strict # time=50ms\n");
+        printer.write("1..2\n");
+    });
+    t.notMatch(output, /lenient 200ms/);
+    t.match(output, /✓ \[2\] strict 50ms \(slow\)\n/);
+    t.end();
+});
@@ -0,0 +1,301 @@
+var t = require('tap');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var Writable = require('stream').Writable;
+var _ = require('lodash');
+var subtap = require('../');
+
+var FIXTURES_DIR = path.resolve(__dirname, 'fixtures');
+var FLAKY_FLAG_PATH = path.join(os.tmpdir(), 'subtap-flaky-'+ process.pid);
+
+t.tearDown(function () {
+    if (fs.existsSync(FLAKY_FLAG_PATH))
+        fs.unlinkSync(FLAKY_FLAG_PATH);
+});
+
+function startTests(options, taps) {
+    // returns the runner, appending the TAP of each run to taps, with any
+    // inline stdio; the run state isn't saved unless the options request it
+    options = _.assign({ cwd: FIXTURES_DIR, saveState: false }, options);
+    options.makePrinter = function () {
+        var runIndex = taps.length;
+        taps.push('');
+        var printer = new Writable({
+            write: function (chunk, encoding, done) {
+                taps[runIndex] += chunk.toString();
+                done();
+            }
+        });
+        printer.writeStdio = function (channel, text) {
+            // marks inline stdio, which only printers having writeStdio()
+            // receive
+            taps[runIndex] += "<"+ channel +": "+ text +">";
+        };
+        return printer;
+    };
+    return subtap.run(options);
+}
+
+function runTests(options) {
+    // resolves with the results of the run, with the TAP of the run as
+    // results.tap
+    var taps = [];
+    return startTests(options, taps).then(function (results) {
+        results.tap = taps[0];
+        return results;
+    });
+}
+
+function numberedNames(tap) {
+    // numbered names of the root subtests in the order the TAP reports them
+    var names = [];
+    var regex = /^(?:not )?ok \d+ - (\[\d+\] \w+)/gm;
+    var matches;
+    while ((matches = regex.exec(tap)) !== null)
+        names.push(matches[1]);
+    return names;
+}
+
+function rootNames(tap) {
+    // names of the root subtests in the order the TAP reports them
+    var names = [];
+    var regex = /^ok \d+ - \[\d+\] (\w+)/gm;
+    var matches;
+    while ((matches = regex.exec(tap)) !== null)
+        names.push(matches[1]);
+    return names;
+}
+
+t.test("numbers root subtests across files run concurrently",
+        function (t) {
+    return runTests({
+        files: [ 'numbered.js', 'failing.js', 'passing.js' ],
+        jobs: 2
+    })
+    .then(function (results) {
+        t.same(numberedNames(results.tap), [ '[1] one', '[2] two',
+                '[3] three', '[4] passes', '[5] fails', '[6] passes' ],
+                "reports the files in order");
+        t.equal(results.files, 3);
+        t.equal(results.rootSubtests, 6);
+        t.same(results.failedTestNumbers, [ 5 ]);
+    });
+});
+
+t.test("gives the shuffle seed after the version line", function (t) {
+    return runTests({ files: [ 'numbered.js' ], shuffle: 42 })
+    .then(function (results) {
+        t.match(results.tap, /^TAP version 13\n# Shuffled with seed 42\n/);
+        t.same(rootNames(results.tap).sort(), [ 'one', 'three', 'two' ]);
+    });
+});
+
+t.test("reports retries in the order of the root subtests", function (t) {
+    if (fs.existsSync(FLAKY_FLAG_PATH))
+        fs.unlinkSync(FLAKY_FLAG_PATH);
+    return runTests({
+        files: [ 'flaky.js', 'numbered.js' ],
+        testArgs: [ FLAKY_FLAG_PATH ],
+        jobs: 2,
+        retry: 1
+    })
+    .then(function (results) {
+        t.same(rootNames(results.tap),
+                [ 'first', 'last', 'flaky', 'one', 'two', 'three' ],
+                "retries follow their files, even with -j2");
+        t.match(results.tap, /^ok \d+ - \[2\] flaky \(flaky\) /m,
+                "marks the root subtest flaky");
+        t.same(results.flakyTestNumbers, [ 2 ]);
+        t.equal(results.failedRootSubtests, 0);
+    });
+});
+
+t.test("records the run state in the state directory", function (t) {
+    var stateDir = path.join(fs.mkdtempSync(
+            path.join(os.tmpdir(), 'subtap-test-')), 'state');
+    var stateFiles = [ 'last-run.json', 'timings.json' ];
+    t.tearDown(function () {
+        stateFiles.forEach(function (fileName) {
+            var filePath = path.join(stateDir, fileName);
+            if (fs.existsSync(filePath))
+                fs.unlinkSync(filePath);
+        });
+        if (fs.existsSync(stateDir))
+            fs.rmdirSync(stateDir);
+        fs.rmdirSync(path.dirname(stateDir));
+    });
+    return runTests({ files: [ 'numbered.js' ], stateDir: stateDir,
+            saveState: true })
+    .then(function () {
+        t.same(fs.readdirSync(stateDir).sort(), stateFiles);
+        t.notOk(fs.existsSync(path.join(FIXTURES_DIR, '.subtap')),
+                "not in the working directory");
+        stateFiles.forEach(function (fileName) {
+            fs.unlinkSync(path.join(stateDir, fileName));
+        });
+        return runTests({ files: [ 'numbered.js' ], stateDir: stateDir });
+    })
+    .then(function () {
+        t.same(fs.readdirSync(stateDir), [], "saves nothing without saveState");
+    });
+});
+
+t.test("reruns the test files that change when watching", function (t) {
+    var watchedPath = path.join(FIXTURES_DIR, 'watched-'+ process.pid +'.js');
+    var source = fs.readFileSync(path.join(FIXTURES_DIR, 'passing.js'),
+            'utf8');
+    fs.writeFileSync(watchedPath, source);
+    var taps = [];
+    var runInfos = [];
+    var runner = startTests({
+        files: [ 'numbered.js', path.basename(watchedPath) ],
+        watch: true
+    }, taps);
+    t.tearDown(function () {
+        runner.close();
+        fs.unlinkSync(watchedPath);
+    });
+    return new Promise(function (resolve) {
+        runner.on('start', function (info) {
+            runInfos.push(info);
+        });
+        runner.on('watch', function () {
+            if (runInfos.length === 1) {
+                fs.writeFileSync(watchedPath, source.replace(/passes/g,
+                        'changed'));
+            }
+        });
+        runner.on('end', function (results) {
+            if (runInfos.length === 2)
+                resolve(results);
+        });
+    })
+    .then(function (results) {
+        t.same(runInfos[1].files, [ watchedPath ],
+                "reruns only the changed file");
+        t.ok(runInfos[1].rerun);
+        t.same(numberedNames(taps[1]), [ '[4] changed' ],
+                "keeps the numbers of the first run");
+        t.equal(results.rootSubtests, 1);
+    });
+});
+
+t.test("selects root subtests by name and by file", function (t) {
+    var files = [ 'numbered.js', 'failing.js' ];
+    return runTests({ files: files, grep: '^t' })
+    .then(function (results) {
+        t.same(numberedNames(results.tap), [ '[2] two', '[3] three' ],
+                "by name");
+        t.equal(results.rootSubtests, 2);
+        return runTests({ files: files, grepFile: 'fail' });
+    })
+    .then(function (results) {
+        t.same(numberedNames(results.tap), [ '[4] passes', '[5] fails' ],
+                "by file");
+        return runTests({ files: files, grep: 'pass', grepFile: 'fail' });
+    })
+    .then(function (results) {
+        t.same(numberedNames(results.tap), [ '[4] passes' ],
+                "by name and file");
+        t.same(results.failedTestNumbers, []);
+    });
+});
+
+t.test("lists the selected root subtests without running them",
+        function (t) {
+    var runner = new subtap.Runner({
+        cwd: FIXTURES_DIR,
+        files: [ 'numbered.js', 'failing.js' ],
+        run: '2,4..5',
+        grep: 's'
+    });
+    var fileStarts = 0;
+    runner.on('fileStart', function () {
+        ++fileStarts;
+    });
+    return runner.list().then(function (listing) {
+        t.same(listing, {
+            tests: [
+                { number: 4, name: 'passes', file: 'failing.js', line: 3 },
+                { number: 5, name: 'fails', file: 'failing.js', line: 8 }
+            ],
+            errors: ''
+        });
+        t.equal(fileStarts, 0, "runs no tests");
+    });
+});
+
+t.test("runs each root subtest in its own process when isolating",
+        function (t) {
+    return runTests({ files: [ 'shared_state.js' ] })
+    .then(function (results) {
+        t.same(results.failedTestNumbers, [ 2 ], "shares a process");
+        var taps = [];
+        var runner = startTests({
+            files: [ 'numbered.js', 'shared_state.js' ],
+            run: '2..5',
+            isolate: true
+        }, taps);
+        var fileStarts = [];
+        runner.on('fileStart', function (info) {
+            fileStarts.push(path.basename(info.file));
+        });
+        return runner.then(function (results) {
+            t.same(fileStarts, [ 'numbered.js', 'numbered.js',
+                    'shared_state.js', 'shared_state.js' ]);
+            t.same(numberedNames(taps[0]), [ '[2] two', '[3] three',
+                    '[4] first', '[5] second' ]);
+            t.equal(results.failedRootSubtests, 0);
+        });
+    });
+});
+
+t.test("interleaves inline stdio with the TAP", function (t) {
+    return runTests({
+        files: [ 'printing.js' ],
+        stdout: 'inline',
+        stderr: 'inline'
+    })
+    .then(function (results) {
+        t.match(results.tap, new RegExp("# Subtest: \\[2\\] noisy .*\\n"+
+                "<stdout: said\\n> {4}ok 1 - first\\n"+
+                "<stderr: complained\\n> {4}ok 2 - second\\n"));
+        t.equal(results.tap.split("<std").length - 1, 2,
+                "writes no other stdio");
+    });
+});
+
+t.test("gives prompts default answers when prompting is off", function (t) {
+    return runTests({ files: [ 'prompting.js' ], prompt: false })
+    .then(function (results) {
+        t.match(results.tap, /# answers: \["",false,null\]\n/);
+    });
+});
+
+t.test("answers prompts from the given answers", function (t) {
+    function runWithAnswers(answers) {
+        return runTests({ files: [ 'prompting.js' ], answers: answers })
+        .then(function (results) {
+            return results.tap;
+        });
+    }
+    return runWithAnswers([ 'bob', true, 'green' ])
+    .then(function (tap) {
+        t.match(tap, /# answers: \["bob",true,"green"\]\n/, "in order");
+        return runWithAnswers({ 'name?': 'ann', 'sure?': 'n', 'color?': 1 });
+    })
+    .then(function (tap) {
+        t.match(tap, /# answers: \["ann",false,"red"\]\n/, "by message");
+        return runWithAnswers([ 'bob' ]);
+    })
+    .then(function (tap) {
+        t.match(tap, new RegExp("# error: can't answer prompt \"sure\\?\": "+
+                "the answers don't include it\n"), "missing an answer");
+        return runWithAnswers([ 'bob', 'maybe' ]);
+    })
+    .then(function (tap) {
+        t.match(tap, new RegExp("# error: can't answer prompt \"sure\\?\": "+
+                "answer \"maybe\" is invalid\n"), "invalid answer");
+    });
+});
@@ -0,0 +1,99 @@
+var t = require('tap');
+var TapNormalizer = require('../lib/TapNormalizer');
+
+function normalize(chunks) {
+    var normalizer = new TapNormalizer();
+    var lines = [];
+    chunks.forEach(function (chunk) {
+        lines = lines.concat(normalizer.write(chunk));
+    });
+    return lines.concat(normalizer.end()).join('');
+}
+
+t.test("moves subtest comments to the subtest's indentation", function (t) {
+    t.equal(normalize([
+        "# Subtest: a\n",
+        "    ok 1 - x\n",
+        "    1..1\n",
+        "ok 1 - a\n"
+    ]),
+        "    # Subtest: a\n"+
+        "    ok 1 - x\n"+
+        "    1..1\n"+
+        "ok 1 - a\n");
+    t.end();
+});
+
+t.test("names subtests lacking comments from their test points",
+        function (t) {
+    var expected =
+        "    # Subtest: named\n"+
+        "    ok 1 - x\n"+
+        "    1..1\n"+
+        "ok 1 - named # time=3ms\n";
+    t.equal(normalize([
+        "    ok 1 - x\n",
+        "    1..1\n",
+        "ok 1 - named # time=3ms\n"
+    ]), expected, "without a comment");
+    t.equal(normalize([
+        "# Subtest\n",
+        "    ok 1 - x\n",
+        "    1..1\n",
+        "ok 1 - named # time=3ms\n"
+    ]), expected, "with an unnamed comment");
+    t.end();
+});
+
+t.test("moves test points of buffered subtests after them", function (t) {
+    t.equal(normalize([
+        "ok 1 - buffered {\n",
+        "    ok 1 - x\n",
+        "    1..1\n",
+        "}\n"
+    ]),
+        "    # Subtest: buffered\n"+
+        "    ok 1 - x\n"+
+        "    1..1\n"+
+        "ok 1 - buffered\n");
+    t.end();
+});
+
+t.test("drops the version lines of subtests", function (t) {
+    t.equal(normalize([
+        "TAP version 14\n",
+        "# Subtest: a\n",
+        "    TAP version 14\n",
+        "    ok 1\n",
+        "    1..1\n",
+        "ok 1 - a\n"
+    ]),
+        "TAP version 14\n"+
+        "    # Subtest: a\n"+
+        "    ok 1\n"+
+        "    1..1\n"+
+        "ok 1 - a\n");
+    t.end();
+});
+
+t.test("passes YAML through unchanged", function (t) {
+    var tap =
+        "not ok 1 - a\n"+
+        "  ---\n"+
+        "    ok 1 - not a subtest\n"+
+        "  ...\n"+
+        "1..1\n";
+    t.equal(normalize([ tap ]), tap);
+    t.end();
+});
+
+t.test("returns complete lines regardless of chunking", function (t) {
+    t.equal(normalize([ "TAP version 13\nok 1 - a", "bc\r\nnot ok 2", "" ]),
+        "TAP version 13\n"+
+        "ok 1 - abc\n"+
+        "not ok 2\n", "incomplete lines wait for the rest or for end()");
+    t.equal(normalize([ "    ok 1 - x\n", "    1..1\n" ]),
+        "    ok 1 - x\n"+
+        "    1..1\n", "end() releases lines held for an unnamed subtest");
+    t.end();
+});
@@ -0,0 +1,99 @@
+var t = require('tap');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var configFile = require('../lib/config_file');
+
+function makeProject(files) {
+    // returns the path to a new directory containing the given files
+    var dir = fs.mkdtempSync(path.join(os.tmpdir(), 'subtap-test-'));
+    Object.keys(files).forEach(function (fileName) {
+        fs.writeFileSync(path.join(dir, fileName), files[fileName]);
+    });
+    return dir;
+}
+
+function removeProject(dir) {
+    fs.readdirSync(dir).forEach(function (fileName) {
+        fs.unlinkSync(path.join(dir, fileName));
+    });
+    fs.rmdirSync(dir);
+}
+
+function readConfig(t, files) {
+    var dir = makeProject(files);
+    t.tearDown(function () {
+        removeProject(dir);
+    });
+    return configFile.readConfig(dir);
+}
+
+t.test("reads settings from .subtaprc as YAML or JSON", function (t) {
+    t.same(readConfig(t, {
+        '.subtaprc': "files: test/**/*.js\ntimeout: 0\n"
+    }), {
+        source: '.subtaprc',
+        settings: { files: [ 'test/**/*.js' ], timeout: 0 }
+    }, "YAML, normalizing strings to arrays");
+    t.same(readConfig(t, {
+        '.subtaprc': '{ "narg": ["--a", "--b"], "format": "fail" }'
+    }).settings, { narg: [ '--a', '--b' ], format: 'fail' }, "JSON");
+    t.same(readConfig(t, { '.subtaprc': '' }).settings, {},
+            "empty .subtaprc");
+    t.end();
+});
+
+t.test("reads settings from package.json", function (t) {
+    t.same(readConfig(t, {
+        'package.json': '{ "name": "x", "subtap": { "stdout": "end" } }'
+    }), {
+        source: "package.json property 'subtap'",
+        settings: { stdout: 'end' }
+    });
+    t.same(readConfig(t, {
+        '.subtaprc': "stderr: none\n",
+        'package.json': '{ "name": "x", "subtap": { "stdout": "end" } }'
+    }).settings, { stderr: 'none' }, ".subtaprc takes precedence");
+    t.end();
+});
+
+t.test("returns null for projects without configuration", function (t) {
+    t.equal(readConfig(t, {}), null, "no files");
+    t.equal(readConfig(t, { 'package.json': '{ "name": "x" }' }), null,
+            "package.json without subtap property");
+    t.end();
+});
+
+t.test("rejects invalid configuration", function (t) {
+    t.throws(function () {
+        readConfig(t, { '.subtaprc': "files: [unclosed\n" });
+    }, /^\.subtaprc: /, "malformed YAML");
+    t.throws(function () {
+        readConfig(t, { 'package.json': '{ "subtap": ' });
+    }, /^package\.json: /, "malformed package.json");
+    t.throws(function () {
+        readConfig(t, { '.subtaprc': "- files\n" });
+    }, /\.subtaprc must map keys to values/, "not a map");
+    t.throws(function () {
+        readConfig(t, { '.subtaprc': "jobs: 2\n" });
+    }, /unrecognized key 'jobs'/, "unrecognized key");
+    t.throws(function () {
+        readConfig(t, { '.subtaprc': "format: [tally]\n" });
+    }, /key 'format' must be a string/, "string");
+    t.throws(function () {
+        readConfig(t, { '.subtaprc': "targ: [a, 1]\n" });
+    }, /key 'targ' must be a string or an array of strings/, "strings");
+    t.throws(function () {
+        readConfig(t, { '.subtaprc': "timeout: -1\n" });
+    }, /key 'timeout' must be an integer >= 0/, "integer");
+    t.throws(function () {
+        readConfig(t, { '.subtaprc': "colors: { pass: 1 }\n" });
+    }, /key 'colors' must map style names to strings/, "styles");
+    t.end();
+});
+
+t.test("names the source and key in messages", function (t) {
+    t.equal(configFile.toKeyMessage('.subtaprc', 'format', "is bad"),
+            ".subtaprc: key 'format' is bad");
+    t.end();
+});
@@ -0,0 +1,139 @@
+var t = require('tap');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var url = require('url');
+var coverage = require('../lib/coverage');
+
+var SOURCE =
+    "// adds one\n"+
+    "function f(x) {\n"+
+    "    if (x) { return 1; } else { return 2; }\n"+
+    "    if (x) {\n"+
+    "        x = 1;\n"+
+    "        return 1; } return 2;\n"+
+    "}\n"+
+    "function g() {\n"+
+    "    return 3;\n"+
+    "}\n"+
+    "f(false);\n";
+
+var dir = fs.mkdtempSync(path.join(os.tmpdir(), 'subtap-test-'));
+var sourcePath = path.join(dir, 'source.js');
+fs.writeFileSync(sourcePath, SOURCE);
+t.tearDown(function () {
+    fs.unlinkSync(sourcePath);
+    fs.rmdirSync(dir);
+});
+
+function makeRange(start, end, count) {
+    // range from the start text through the end text, as V8 reports it
+    var startOffset = SOURCE.indexOf(start);
+    return {
+        startOffset: startOffset,
+        endOffset: SOURCE.indexOf(end, startOffset) + end.length,
+        count: count
+    };
+}
+
+function makeReport(gCount) {
+    return {
+        result: [
+            {
+                url: 'node:internal/main',
+                functions: [ { functionName: '', ranges: [] } ]
+            },
+            {
+                url: url.pathToFileURL(sourcePath).href,
+                functions: [
+                    {
+                        functionName: '',
+                        ranges: [ { startOffset: 0,
+                                endOffset: SOURCE.length, count: 1 } ]
+                    },
+                    {
+                        functionName: 'f',
+                        ranges: [
+                            makeRange("function f", "return 2;\n}", 1),
+                            makeRange("{ return 1; }", "}", 0),
+                            makeRange("{\n        x = 1;", "}", 0)
+                        ]
+                    },
+                    {
+                        functionName: 'g',
+                        ranges: [ makeRange("function g", "}", gCount) ]
+                    }
+                ]
+            }
+        ]
+    };
+}
+
+function includeAll() {
+    return true;
+}
+
+t.test("credits lines with the executed code they contain", function (t) {
+    var fileCoverage =
+            coverage.mergeCoverage({}, makeReport(0), includeAll)[sourcePath];
+    t.same(coverage.getExecutedLines(fileCoverage), [ 2, 3, 4, 6, 11 ],
+            "partly executed lines count as executed");
+    t.same(coverage.summarizeFile(fileCoverage), {
+        lines: { covered: 5, total: 8 },
+        functions: { covered: 1, total: 2 },
+        uncoveredLines: [ 5, 8, 9 ]
+    }, "comments and closing brackets aren't code");
+    t.end();
+});
+
+t.test("merges the counts of multiple reports", function (t) {
+    var merged = coverage.mergeCoverage({}, makeReport(0), includeAll);
+    merged = coverage.mergeCoverage(merged, makeReport(2), includeAll);
+    t.same(Object.keys(merged), [ sourcePath ], "ignores node internals");
+    t.same(coverage.summarizeFile(merged[sourcePath]), {
+        lines: { covered: 7, total: 8 },
+        functions: { covered: 2, total: 2 },
+        uncoveredLines: [ 5 ]
+    });
+    t.end();
+});
+
+t.test("only tallies included files that exist", function (t) {
+    t.same(coverage.mergeCoverage({}, makeReport(0), function (filePath) {
+        return filePath !== sourcePath;
+    }), {});
+    var report = makeReport(0);
+    report.result[1].url = url.pathToFileURL(
+            path.join(dir, 'missing.js')).href;
+    t.same(coverage.mergeCoverage({}, report, includeAll), {});
+    t.end();
+});
+
+t.test("collects the reports of a run and of its root subtests",
+        function (t) {
+    var coverageDir = coverage.makeCoverageDir();
+    fs.writeFileSync(path.join(coverageDir, 'coverage-1.json'),
+            JSON.stringify(makeReport(0)));
+    fs.writeFileSync(path.join(coverageDir, 'root-2-1.json'),
+            JSON.stringify(makeReport(1)));
+    var collected = coverage.collectCoverage(coverageDir, includeAll);
+    t.notOk(fs.existsSync(coverageDir), "removes the directory");
+    t.same(coverage.summarizeCoverage(collected.coverage, dir), [{
+        file: 'source.js',
+        lines: { covered: 7, total: 8 },
+        functions: { covered: 2, total: 2 },
+        uncoveredLines: [ 5 ]
+    }]);
+    t.same(Object.keys(collected.testCoverages), [ '2' ]);
+    t.same(coverage.listExecutedLines(collected.testCoverages[2], dir), [
+        { file: 'source.js', lines: [ 2, 3, 4, 6, 8, 9, 11 ] }
+    ]);
+    t.end();
+});
+
+t.test("expresses line numbers as ranges", function (t) {
+    t.equal(coverage.toLineRanges([]), '');
+    t.equal(coverage.toLineRanges([ 3 ]), '3');
+    t.equal(coverage.toLineRanges([ 1, 2, 3, 5, 7, 8 ]), '1-3, 5, 7-8');
+    t.end();
+});
@@ -0,0 +1,87 @@
+var t = require('tap');
+var fs = require('fs');
+var path = require('path');
+var spawnSync = require('child_process').spawnSync;
+
+var SUBTAP_PATH = path.resolve(__dirname, '../bin/subtap.js');
+var FIXTURES_DIR = path.resolve(__dirname, 'fixtures');
+var STATE_DIR = path.join(FIXTURES_DIR, '.subtap');
+
+t.tearDown(function () {
+    if (fs.existsSync(STATE_DIR)) {
+        fs.readdirSync(STATE_DIR).forEach(function (fileName) {
+            fs.unlinkSync(path.join(STATE_DIR, fileName));
+        });
+        fs.rmdirSync(STATE_DIR);
+    }
+});
+
+function runSubtap(args) {
+    // returns the exit code of subtap run in the fixtures directory
+    var env = {};
+    Object.keys(process.env).forEach(function (key) {
+        if (key !== 'SUBTAP_DEFAULT_ARGS' && key.indexOf('TAP') !== 0)
+            env[key] = process.env[key]; // isolate from the running tap
+    });
+    return spawnSync(process.execPath, [ SUBTAP_PATH ].concat(args), {
+        cwd: FIXTURES_DIR,
+        env: env,
+        encoding: 'utf8'
+    }).status;
+}
+
+t.test("exits with 0 when all root subtests pass", function (t) {
+    t.equal(runSubtap([ 'passing.js' ]), 0);
+    t.equal(runSubtap([ '--cmd=cat passing.tap' ]), 0, "commands");
+    t.equal(runSubtap([ '--shuffle', 'passing.js' ]), 0,
+            "not taking a file pattern for the shuffle seed");
+    t.end();
+});
+
+t.test("exits with 1 when a root subtest fails", function (t) {
+    t.equal(runSubtap([ 'failing.js' ]), 1);
+    t.equal(runSubtap([ 'passing.js', 'failing.js', '--json' ]), 1,
+            "regardless of output format");
+    t.equal(runSubtap([ 'passing.js', '--cmd=cat failing.tap' ]), 1,
+            "commands");
+    t.end();
+});
+
+t.test("exits with 1 when an assertion outside root subtests fails",
+        function (t) {
+    t.equal(runSubtap([ 'root_assertion.js' ]), 1);
+    t.equal(runSubtap([ 'root_assertion.js', '--tap' ]), 1,
+            "regardless of output format");
+    t.equal(runSubtap([ '--cmd=cat root_assertion.tap' ]), 1, "commands");
+    t.equal(runSubtap([ '--render=root_assertion.tap' ]), 1,
+            "agreeing with --render");
+    t.end();
+});
+
+t.test("exits with 1 when a command fails after writing TAP", function (t) {
+    t.equal(runSubtap([ '--cmd=cat passing.tap; exit 3' ]), 1,
+            "non-zero exit code");
+    t.equal(runSubtap([ '--cmd=cat passing.tap; exit 3', '--tap' ]), 1,
+            "regardless of output format");
+    t.equal(runSubtap([ '--cmd=cat passing.tap; kill -9 $$' ]), 1,
+            "killed by a signal");
+    t.end();
+});
+
+t.test("exits with 1 on errors", function (t) {
+    t.equal(runSubtap([ 'nonexistent.js' ]), 1, "no matching files");
+    t.equal(runSubtap([ '--cmd=exit 3' ]), 1, "command without TAP");
+    t.end();
+});
+
+t.test("exits by whether rendered TAP passes", function (t) {
+    t.equal(runSubtap([ '--render=passing.tap' ]), 0);
+    t.equal(runSubtap([ '--render=todo.tap' ]), 0,
+            "directives excuse failures");
+    t.equal(runSubtap([ '--render=failing.tap' ]), 1);
+    t.equal(runSubtap([ '--render=failing.tap', '--json' ]), 1,
+            "regardless of output format");
+    t.equal(runSubtap([ '--render=bailout.tap' ]), 1, "bailing out");
+    t.equal(runSubtap([ '--render=unplanned.tap' ]), 1, "violating plan");
+    t.end();
+});
@@ -0,0 +1,11 @@
+var t = require('tap');
+
+t.test("passes", function (t) {
+    t.ok(true);
+    t.end();
+});
+
+t.test("fails", function (t) {
+    t.ok(false);
+    t.end();
+});
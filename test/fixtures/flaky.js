@@ -0,0 +1,22 @@
+var t = require('tap');
+var fs = require('fs');
+
+var flagPath = process.argv[2]; // written when the first attempt fails
+
+t.test("first", function (t) {
+    t.ok(true);
+    t.end();
+});
+
+t.test("flaky", function (t) {
+    var retrying = fs.existsSync(flagPath);
+    if (!retrying)
+        fs.writeFileSync(flagPath, '');
+    t.ok(retrying, "passes on a retry");
+    t.end();
+});
+
+t.test("last", function (t) {
+    t.ok(true);
+    t.end();
+});
@@ -0,0 +1,16 @@
+var t = require('tap');
+
+t.test("one", function (t) {
+    t.ok(true);
+    t.end();
+});
+
+t.test("two", function (t) {
+    t.ok(true);
+    t.end();
+});
+
+t.test("three", function (t) {
+    t.ok(true);
+    t.end();
+});
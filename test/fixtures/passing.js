@@ -0,0 +1,6 @@
+var t = require('tap');
+
+t.test("passes", function (t) {
+    t.ok(true);
+    t.end();
+});
@@ -0,0 +1,14 @@
+var t = require('tap');
+
+t.test("quiet", function (t) {
+    t.ok(true);
+    t.end();
+});
+
+t.test("noisy", function (t) {
+    console.log("said");
+    t.ok(true, "first");
+    console.error("complained");
+    t.ok(true, "second");
+    t.end();
+});
@@ -0,0 +1,18 @@
+var t = require('tap');
+var prompt = require('../../prompt');
+
+t.test("prompts", function (t) {
+    var answers = [];
+    return prompt.ask("name?").then(function (name) {
+        answers.push(name);
+        return prompt.confirm("sure?");
+    }).then(function (sure) {
+        answers.push(sure);
+        return prompt.choose("color?", [ 'red', 'green' ]);
+    }).then(function (color) {
+        answers.push(color);
+        t.comment("answers: "+ JSON.stringify(answers));
+    }, function (err) {
+        t.comment("error: "+ err.message);
+    });
+});
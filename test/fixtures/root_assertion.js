@@ -0,0 +1,8 @@
+var t = require('tap');
+
+t.equal(1, 2);
+
+t.test("passes", function (t) {
+    t.ok(true);
+    t.end();
+});
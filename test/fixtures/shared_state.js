@@ -0,0 +1,13 @@
+var t = require('tap');
+
+var runCount = 0; // root subtests run in this process
+
+t.test("first", function (t) {
+    t.equal(++runCount, 1, "runs alone");
+    t.end();
+});
+
+t.test("second", function (t) {
+    t.equal(++runCount, 1, "runs alone");
+    t.end();
+});
@@ -0,0 +1,110 @@
+var t = require('tap');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var runState = require('../lib/run_state');
+
+function makeStateDir(t) {
+    // returns the path to a state directory within a new project directory,
+    // both removed after the test
+    var dir = fs.mkdtempSync(path.join(os.tmpdir(), 'subtap-test-'));
+    var stateDir = path.join(dir, 'state', '.subtap');
+    t.tearDown(function () {
+        if (fs.existsSync(stateDir)) {
+            fs.readdirSync(stateDir).forEach(function (fileName) {
+                fs.unlinkSync(path.join(stateDir, fileName));
+            });
+            fs.rmdirSync(stateDir);
+            fs.rmdirSync(path.dirname(stateDir));
+        }
+        fs.rmdirSync(dir);
+    });
+    return stateDir;
+}
+
+t.test("reads back the last run that it wrote", function (t) {
+    var stateDir = makeStateDir(t);
+    t.equal(runState.readLastRun(stateDir), null, "no record of a prior run");
+    var lastRun = { fingerprint: 'abc', failedTests: [ 2, 5 ] };
+    runState.writeLastRun(stateDir, lastRun);
+    t.same(runState.readLastRun(stateDir), lastRun);
+    runState.writeLastRun(stateDir, { fingerprint: 'abc', failedTests: [] });
+    t.same(runState.readLastRun(stateDir).failedTests, [],
+            "replaces prior run");
+    t.end();
+});
+
+t.test("reads back the timings that it wrote", function (t) {
+    var stateDir = makeStateDir(t);
+    t.same(runState.readTimings(stateDir), {}, "no history");
+    var timings = {
+        'test/a.js': { first: { number: 1, durations: [ 10, 12 ] } }
+    };
+    runState.writeTimings(stateDir, timings);
+    t.same(runState.readTimings(stateDir), timings);
+    t.end();
+});
+
+t.test("treats corrupt state files as absent", function (t) {
+    var stateDir = makeStateDir(t);
+    fs.mkdirSync(stateDir, { recursive: true });
+    fs.writeFileSync(path.join(stateDir, 'last-run.json'), '{ "fin');
+    fs.writeFileSync(path.join(stateDir, 'timings.json'), '');
+    t.equal(runState.readLastRun(stateDir), null);
+    t.same(runState.readTimings(stateDir), {});
+    t.end();
+});
+
+t.test("keeps the failures of root subtests that didn't rerun",
+        function (t) {
+    var lastRun = { fingerprint: 'abc', failedTests: [ 2, 5, 7 ] };
+    t.same(runState.mergeLastRun(lastRun, 'abc', [ 3 ], [ 3, 5 ]),
+            { fingerprint: 'abc', failedTests: [ 2, 3, 7 ] });
+    t.same(runState.mergeLastRun(lastRun, 'def', [ 3 ], [ 3, 5 ]),
+            { fingerprint: 'def', failedTests: [ 3 ] },
+            "ignores a last run of other files");
+    t.same(runState.mergeLastRun(null, 'abc', [ 4, 1 ], [ 1, 4 ]),
+            { fingerprint: 'abc', failedTests: [ 1, 4 ] });
+    t.end();
+});
+
+t.test("detects regressions from the recent durations", function (t) {
+    var timings = {};
+    var durations = [ 100, 300, 120, 110 ];
+    durations.forEach(function (duration, i) {
+        runState.addDurations(timings, [
+            { file: 'test/a.js', name: 'first', number: i + 1,
+                    duration: duration }
+        ]);
+        if (i === 1) {
+            t.equal(runState.getBaseline(timings, 'test/a.js', 'first'),
+                    null, "too few durations for a baseline");
+        }
+    });
+    t.same(timings['test/a.js'].first, { number: 4, durations: durations });
+    t.equal(runState.getBaseline(timings, 'test/a.js', 'first'), 115);
+    t.equal(runState.getBaseline(timings, 'test/b.js', 'first'), null);
+    t.ok(runState.isRegression(200, 115));
+    t.notOk(runState.isRegression(160, 115), "increase too small");
+    t.notOk(runState.isRegression(60, 30), "increase too short");
+    t.end();
+});
+
+t.test("fingerprints the list of test files and commands", function (t) {
+    var dir = path.join(os.tmpdir(), 'project');
+    var files = [ path.join(dir, 'test/a.js'), path.join(dir, 'test/b.js') ];
+    var fingerprint = runState.fingerprintFiles(dir, files);
+    t.equal(runState.fingerprintFiles(dir, files.slice()), fingerprint,
+            "same for the same files");
+    t.equal(runState.fingerprintFiles(dir, files, []), fingerprint,
+            "no commands is the same as none given");
+    t.notEqual(runState.fingerprintFiles(dir, files.slice().reverse()),
+            fingerprint, "depends on the order of the files");
+    t.notEqual(runState.fingerprintFiles(dir, files, [ 'make test' ]),
+            fingerprint, "depends on the commands");
+    t.equal(runState.fingerprintFiles(path.join(os.tmpdir(), 'moved'),
+            files.map(function (file) {
+        return file.replace('project', 'moved');
+    })), fingerprint, "independent of the project's location");
+    t.end();
+});
@@ -0,0 +1,39 @@
+var t = require('tap');
+var shuffle = require('../lib/shuffle');
+
+var ITEMS = [ 1, 2, 3, 4, 5, 6, 7, 8, 9, 10 ];
+
+t.test("replays the same order for the same seed", function (t) {
+    t.same(shuffle.shuffle(ITEMS, 12345), shuffle.shuffle(ITEMS, 12345));
+    t.same(shuffle.shuffle(ITEMS, 12345),
+            shuffle.shuffle(ITEMS, 12345 + 0x100000000),
+            "seeds are reduced modulo 2^32");
+    t.end();
+});
+
+t.test("orders differently for different seeds", function (t) {
+    t.notSame(shuffle.shuffle(ITEMS, 1), shuffle.shuffle(ITEMS, 2));
+    t.end();
+});
+
+t.test("shuffles a copy, keeping every item", function (t) {
+    var items = ITEMS.slice();
+    var shuffled = shuffle.shuffle(items, 99);
+    t.same(items, ITEMS, "leaves the array unchanged");
+    t.notSame(shuffled, ITEMS);
+    t.same(shuffled.slice().sort(function (a, b) {
+        return a - b;
+    }), ITEMS);
+    t.same(shuffle.shuffle([], 99), []);
+    t.end();
+});
+
+t.test("makes integer seeds below 2^32", function (t) {
+    var seeds = [];
+    for (var i = 0; i < 20; ++i)
+        seeds.push(shuffle.makeSeed());
+    t.ok(seeds.every(function (seed) {
+        return (seed >= 0 && seed < 0x100000000 && seed === Math.floor(seed));
+    }));
+    t.end();
+});